@@ -14,104 +14,189 @@ const assert = require('assert-plus');
 const bunyan = require('bunyan');
 const cueball = require('cueball');
 const errors = require('./errors.js');
+const mod_health = require('./health.js');
+const mod_pager = require('./pager.js');
+const mod_snapshot = require('./snapshot.js');
+const mod_strategies = require('./strategies.js');
 const once = require('once');
 const restify = require('restify-clients');
+const stream = require('stream');
 const util = require('util');
+const VError = require('verror').VError;
 
-const sprintf = util.format;
+const SELECTION_MODES = mod_strategies.SELECTION_MODES;
+const DC_SELECTION_MODES = mod_strategies.DC_SELECTION_MODES;
+
+/*
+ * How chooseBatch() places the parts of an object: all on the same storage
+ * nodes, or spread evenly across as many disjoint sets of storage nodes as
+ * will hold them.
+ */
+const BATCH_MODES = [ 'same', 'spread' ];
 
 const DEF_NUM_COPIES = 2;
+const DEF_NUM_TUPLES = 3;
 const DEF_MAX_STREAMING_SIZE_MB = 5120;
 const DEF_MAX_PERCENT_UTIL = 90;
+const DEF_SELECTION = 'uniform';
+const DEF_DC_SELECTION = 'roundRobin';
+const DEF_TAGS_FIELD = 'tags';
+const DEF_MAX_POLL_BACKOFF_MS = 60000;
+const DEF_MAX_SNAPSHOT_AGE_MS = 3600000;
 
 /*
- * Fisher-Yates shuffle - courtesy of http://bost.ocks.org/mike/shuffle/
+ * A comparison function used to order storage zones based on available space.
  *
- * Called by StorinfoClient.choose()
+ * @param {object} a               - a storage zone object
+ * @param {integer} a.availableMB  - free space in MB on the storage zone
+ * @param {object} b               - a storage zone object
+ * @param {integer} b.availableMB  - free space in MB on the storage zone
+ * @throws {TypeError} on bad input.
  */
-function shuffle(array) {
-    var m = array.length,
-        t, i;
+function storageZoneComparator(a, b) {
+    assert.object(a, 'a');
+    assert.object(b, 'b');
+    assert.number(a.availableMB, 'a.availableMB');
+    assert.number(b.availableMB, 'b.availableMB');
 
-    while (m) {
-        i = Math.floor(Math.random() * m--);
-        t = array[m];
-        array[m] = array[i];
-        array[i] = t;
+    if (a.availableMB < b.availableMB) {
+        return (-1);
+    } else if (a.availableMB > b.availableMB) {
+        return (1);
     }
-    return (array);
+
+    return (0);
 }
 
 /*
- * Just picks a random number, and optionally skips the last one we saw.
- *
- * Called by StorinfoClient.choose()
+ * Returns an object mapping the manta_storage_id of each storage zone in the
+ * given maps (as passed to sortAndStoreDcs()) to an object with its `record`
+ * and whether it's available for `normal` requests.
  */
-function random(min, max, skip) {
-    var num = (Math.floor(Math.random() * (max - min + 1)) + min);
+function indexTopology(dcObj, opDcObj) {
+    var index = {};
+
+    function add(normal, record) {
+        var entry = index[record.manta_storage_id];
 
-    if (num === skip) {
-        num = ((num + 1) % max);
+        if (entry === undefined) {
+            entry = index[record.manta_storage_id] = {
+                record: record,
+                normal: false
+            };
+        }
+        entry.normal = entry.normal || normal;
     }
 
-    return (num);
+    Object.keys(opDcObj).forEach(function (dc) {
+        opDcObj[dc].forEach(add.bind(null, false));
+    });
+    Object.keys(dcObj).forEach(function (dc) {
+        dcObj[dc].forEach(add.bind(null, true));
+    });
+
+    return (index);
 }
 
 /*
- * Modified binary-search. We're looking for the point in the set at which all
- * servers have at least the requested amount of space.  Logically you would
- * then do set.slice(lower_bound(set, 100));
- * But that creates a copy - but really the return value of this to $end is
- * what the choose logic can then look at.
- *
- * Called by StorinfoClient.choose()
+ * The fields of a storage record which, along with whether it's available for
+ * normal requests, affect where objects are placed.  Other fields, such as
+ * the record's timestamp, change with every poll.
  */
-function lower_bound(set, size, low, high) {
-    assert.arrayOfObject(set, 'set');
-    assert.number(size, 'size');
-    assert.optionalNumber(low, 'low');
+var PLACEMENT_FIELDS = [ 'datacenter', 'availableMB' ];
 
-    low = low || 0;
-    high = high || set.length;
+/*
+ * Compares two topologies, as returned by indexTopology(), and returns an
+ * object with the `events` describing how they differ (an array of
+ * [name, argument] pairs, in the order they should be emitted) and whether
+ * anything `changed` at all, including the PLACEMENT_FIELDS of storage records
+ * which are in both.
+ *
+ * Storage zones which appear or disappear produce 'nodeAdded' and
+ * 'nodeRemoved' events, and those which move into or out of the set available
+ * for normal requests (i.e. across the utilization threshold) produce
+ * 'nodeCrossedThreshold' events.  Datacenters which gain their first or lose
+ * their last storage zone available for normal requests produce 'dcAvailable'
+ * and 'dcUnavailable' events.
+ */
+function diffTopology(oldIndex, newIndex) {
+    var events = [];
+    var changed = false;
+    var oldDcs = {};
+    var newDcs = {};
+
+    function nodeEvent(name, oldEntry, newEntry) {
+        var record = (newEntry || oldEntry).record;
+        var arg = {
+            manta_storage_id: record.manta_storage_id,
+            datacenter: record.datacenter,
+            oldRecord: oldEntry ? oldEntry.record : null,
+            newRecord: newEntry ? newEntry.record : null
+        };
 
-    while (low < high) {
-        var mid = Math.floor(low + (high - low) / 2);
-        if (set[mid].availableMB >= size) {
-            high = mid;
-        } else {
-            low = mid + 1;
+        if (name === 'nodeCrossedThreshold') {
+            arg.usable = newEntry.normal;
         }
+        events.push([ name, arg ]);
     }
 
-    if (!set[low] || set[low].availableMB < size) {
-        low = -1;
+    function addDc(dcs, entry) {
+        var dc = entry.record.datacenter;
+
+        if (!dcs.hasOwnProperty(dc)) {
+            dcs[dc] = { records: [], normal: false };
+        }
+        dcs[dc].records.push(entry.record);
+        dcs[dc].normal = dcs[dc].normal || entry.normal;
     }
 
-    return (low);
-}
+    Object.keys(oldIndex).forEach(function (id) {
+        addDc(oldDcs, oldIndex[id]);
+        if (!newIndex.hasOwnProperty(id)) {
+            nodeEvent('nodeRemoved', oldIndex[id], null);
+        }
+    });
 
-/*
- * A comparison function used to order storage zones based on available space.
- *
- * @param {object} a               - a storage zone object
- * @param {integer} a.availableMB  - free space in MB on the storage zone
- * @param {object} b               - a storage zone object
- * @param {integer} b.availableMB  - free space in MB on the storage zone
- * @throws {TypeError} on bad input.
- */
-function storageZoneComparator(a, b) {
-    assert.object(a, 'a');
-    assert.object(b, 'b');
-    assert.number(a.availableMB, 'a.availableMB');
-    assert.number(b.availableMB, 'b.availableMB');
+    Object.keys(newIndex).forEach(function (id) {
+        var oldEntry = oldIndex[id];
+        var newEntry = newIndex[id];
 
-    if (a.availableMB < b.availableMB) {
-        return (-1);
-    } else if (a.availableMB > b.availableMB) {
-        return (1);
-    }
+        addDc(newDcs, newEntry);
+        if (oldEntry === undefined) {
+            nodeEvent('nodeAdded', null, newEntry);
+            return;
+        }
 
-    return (0);
+        if (oldEntry.normal !== newEntry.normal) {
+            nodeEvent('nodeCrossedThreshold', oldEntry, newEntry);
+        } else if (PLACEMENT_FIELDS.some(function (field) {
+            return (oldEntry.record[field] !== newEntry.record[field]);
+        })) {
+            changed = true;
+        }
+    });
+
+    Object.keys(oldDcs).concat(Object.keys(newDcs)).filter(function (dc, i, a) {
+        return (a.indexOf(dc) === i);
+    }).forEach(function (dc) {
+        var before = oldDcs[dc] || { records: [], normal: false };
+        var after = newDcs[dc] || { records: [], normal: false };
+
+        if (before.normal === after.normal) {
+            return;
+        }
+
+        events.push([ after.normal ? 'dcAvailable' : 'dcUnavailable', {
+            datacenter: dc,
+            oldRecords: before.records,
+            newRecords: after.records
+        } ]);
+    });
+
+    return ({
+        events: events,
+        changed: changed || events.length > 0
+    });
 }
 
 /*
@@ -119,15 +204,59 @@ function storageZoneComparator(a, b) {
  * available only for operator requests within each datacenter by available
  * storage.
  *
+ * The new storage zones are compared with the current ones, and the events
+ * described in diffTopology() are emitted for the differences, followed by a
+ * 'topology' event.  Each new topology has a generation number one greater
+ * than the last.  If the storage zones are the same as before, at least as far
+ * as placement is concerned (see diffTopology()), the current generation is
+ * kept, but the storage records are replaced and any reservations are
+ * discarded.  In that case, the 'topology' event is only emitted for storage
+ * zones which didn't come from a poll.  A 'poll' event is emitted after each
+ * successful poll, whether or not anything changed.
+ *
  * @param {object} dcObj   - an object mapping datacenters to their associated
  *                           storage zones
  * @param {object} opDcObj - an object mapping datacenters to their associated
  *                           storage zones
+ * @param {object} info    - optional object describing where the storage
+ *                           zones came from, which is passed along with the
+ *                           'topology' event:
+ * @param {string} info.source - 'poll' for a poll of the Storinfo service,
+ *                           'cache' for a snapshot file or 'load' (the
+ *                           default) for loadStorageNodes()
+ * @param {Date} info.timestamp - when the storage zones were fetched.  This
+ *                           defaults to now.
+ * @param {boolean} info.reconfigured - true if the storage zones are those
+ *                           of the current topology, regrouped by
+ *                           reconfigure().  A 'topology' event is emitted
+ *                           even if nothing changed.
  * @throws {TypeError} on bad input.
  */
-function sortAndStoreDcs(dcObj, opDcObj) {
+function sortAndStoreDcs(dcObj, opDcObj, info) {
     assert.object(dcObj, 'dcObj');
     assert.object(opDcObj, 'opDcObj');
+    assert.optionalObject(info, 'info');
+
+    info = {
+        source: (info && info.source) || 'load',
+        timestamp: (info && info.timestamp) || new Date(),
+        reconfigured: !!(info && info.reconfigured),
+        generation: null,
+        changed: true
+    };
+
+    var self = this;
+    var index = indexTopology(dcObj, opDcObj);
+    var diff = { events: [], changed: true };
+
+    if (self.topologyIndex) {
+        diff = diffTopology(self.topologyIndex, index);
+    }
+
+    self.topologyTime = info.timestamp.getTime();
+    self.topologySource = info.source;
+    self.topologyStale = false;
+    scheduleAgeCheck.call(self);
 
     var dcCount = 0;
     var operatorDcCount = 0;
@@ -144,155 +273,1335 @@ function sortAndStoreDcs(dcObj, opDcObj) {
         operatorDcCount++;
     });
 
+    /*
+     * Unchanged storage zones keep the current generation, but as with any
+     * poll or load, the available space they report replaces that set aside
+     * by reservations.
+     */
+    if (!diff.changed && !info.reconfigured) {
+        self.dcSharkMap = dcObj;
+        self.operatorDcSharkMap = opDcObj;
+        self.topologyIndex = index;
+        self.reservations = {};
+        info.generation = self.topologyGeneration;
+        info.changed = false;
+        self.log.trace({ generation: info.generation },
+            'sortAndStoreDcs: storage topology unchanged');
+        if (info.source === 'poll') {
+            self.emit('poll', info);
+        } else {
+            self.emit('topology', [ dcObj, opDcObj ], info);
+        }
+        return;
+    }
+
     if (dcCount > 0) {
-        this.datacenters = dcs;
+        self.datacenters = dcs;
     } else {
-        this.log.warn('sortAndStoreDcs: could not find any minnow ' +
+        self.log.warn('sortAndStoreDcs: could not find any minnow ' +
             'instances');
-        this.datacenters = [];
+        self.datacenters = [];
     }
 
     if (operatorDcCount > 0) {
-        this.operatorDatacenters = operatorDcs;
+        self.operatorDatacenters = operatorDcs;
     } else {
-        this.log.warn('sortAndStoreDcs: could not find any minnow ' +
+        self.log.warn('sortAndStoreDcs: could not find any minnow ' +
             'instances for operator requests');
-        this.operatorDatacenters = [];
+        self.operatorDatacenters = [];
     }
 
-    this.dcSharkMap = dcObj;
-    this.operatorDcSharkMap = opDcObj;
-    this.emit('topology', [this.dcSharkMap, this.operatorDcSharkMap]);
+    self.dcSharkMap = dcObj;
+    self.operatorDcSharkMap = opDcObj;
+    self.topologyIndex = index;
+    self.topologyGeneration++;
+    self.reservations = {};
+    info.generation = self.topologyGeneration;
+
+    diff.events.forEach(function (event) {
+        event[1].generation = info.generation;
+        self.log.debug(event[1], 'sortAndStoreDcs: %s', event[0]);
+        self.emit(event[0], event[1]);
+    });
+
+    self.emit('topology', [self.dcSharkMap, self.operatorDcSharkMap], info);
+    if (info.source === 'poll') {
+        self.emit('poll', info);
+    }
 
-    this.log.trace('sortAndStoreDcs: done');
+    self.log.trace('sortAndStoreDcs: done');
 }
 
-function doPoll() {
-    clearTimeout(this.pollTimer);
+/*
+ * Returns the storage records which have been updated within the last
+ * `maxRecordAgeMs` milliseconds.  A storage record's timestamp is the last time
+ * its storage node reported its utilization, so a node whose record is older
+ * than that has probably stopped reporting, and its availableMB can't be
+ * trusted.  Records without a usable timestamp are assumed to be current.
+ *
+ * The stale records are kept in `this.staleNodes`, keyed by manta_storage_id,
+ * and we emit a 'nodeStale' event for each storage node that has become stale
+ * since the last call and a 'nodeRecovered' event for each storage node that
+ * is no longer stale.
+ *
+ * @param {object[]} records - storage records from the Storinfo service
+ * @returns {object[]} the records that aren't stale
+ */
+function filterStaleRecords(records) {
+    assert.arrayOfObject(records, 'records');
 
     var self = this;
-    var args = {};
+    var previous = self.staleNodes;
+    var now = Date.now();
 
-    self.getStorageNodes(args, function (err, res) {
-        this.pollTimer = setTimeout(doPoll.bind(self), self.pollInterval);
-        if (err) {
-            self.log.error(err, 'doPoll: unexpected error ' +
-                '(will retry)');
+    self.staleNodes = {};
+
+    if (self.maxRecordAgeMs === undefined) {
+        return (records);
+    }
+
+    var fresh = records.filter(function isFresh(v) {
+        var age = now - new Date(v.timestamp).getTime();
+
+        if (age > self.maxRecordAgeMs) {
+            self.staleNodes[v.manta_storage_id] = v;
+            return (false);
+        }
+
+        if (previous.hasOwnProperty(v.manta_storage_id)) {
+            self.log.info({
+                manta_storage_id: v.manta_storage_id,
+                timestamp: v.timestamp
+            }, 'filterStaleRecords: storage node is no longer stale');
+            self.emit('nodeRecovered', v);
+        }
+
+        return (true);
+    });
+
+    var stale = Object.keys(self.staleNodes);
+    if (stale.length > 0) {
+        self.log.warn({
+            staleNodes: stale,
+            maxRecordAgeMs: self.maxRecordAgeMs
+        }, 'filterStaleRecords: ignoring stale storage records');
+    }
+
+    stale.forEach(function (id) {
+        if (!previous.hasOwnProperty(id)) {
+            self.emit('nodeStale', self.staleNodes[id]);
+        }
+    });
+
+    return (fresh);
+}
+
+/*
+ * Splits the given storage records into the objects mapping datacenters to the
+ * storage zones available for normal requests and to those available for
+ * operator requests, as expected by sortAndStoreDcs().  Stale records are left
+ * out of both.  The records are kept in `this.lastRecords`, so that
+ * reconfigure() can apply new thresholds to them.
+ *
+ * @param {object[]} records - storage records from the Storinfo service
+ * @returns {object} with `dcObj` and `opDcObj` properties
+ */
+function groupByDatacenter(records) {
+    assert.arrayOfObject(records, 'records');
+
+    var dcObj = {};
+    var opDcObj = {};
+
+    this.lastRecords = records.slice();
+
+    function sortByDatacenter(v) {
+        if (!opDcObj[v.datacenter]) {
+            opDcObj[v.datacenter] = [];
+        }
+
+        /*
+         * The Storinfo service's /storagenodes interface already filters
+         * out storage nodes who's utilization is above the operator
+         * threshold.
+         */
+        opDcObj[v.datacenter].push(v);
+
+        /*
+         * Moray is queried for the sharks whose utilization is less than
+         * or equal to the maximum utilization percentage at which operator
+         * writes are still accepted. Find the set of sharks whose
+         * utilization is less than or equal to the utilization threshold
+         * of their datacenter for all requests, and which have at least
+         * minAvailableMB free regardless of their utilization.  Records
+         * which don't report their utilization (e.g. hand-written records
+         * for a standalone client) are assumed to be below the threshold.
+         */
+        if (!(v.percentUsed > this.getMaxUtilizationPct(v.datacenter)) &&
+            !(v.availableMB < this.minAvailableMB)) {
+            if (!dcObj[v.datacenter]) {
+                dcObj[v.datacenter] = [];
+            }
+
+            dcObj[v.datacenter].push(v);
+        }
+    }
+
+    filterStaleRecords.call(this, records).forEach(
+        sortByDatacenter.bind(this));
+
+    return ({
+        dcObj: dcObj,
+        opDcObj: opDcObj
+    });
+}
+
+/*
+ * Invokes `fn` with a node-style callback and returns a promise which is
+ * rejected with the error passed to the callback, if any, or otherwise
+ * resolved with the result of passing the callback's other arguments to
+ * `mapResult` (or with just the first of them, if mapResult isn't given).
+ * This lets the asynchronous methods of StorinfoClient return a promise when
+ * they're invoked without a callback.
+ */
+function callbackPromise(fn, mapResult) {
+    return (new Promise(function (resolve, reject) {
+        fn(function (err) {
+            if (err) {
+                reject(err);
+                return;
+            }
+
+            var results = Array.prototype.slice.call(arguments, 1);
+            resolve(mapResult ? mapResult.apply(null, results) : results[0]);
+        });
+    }));
+}
+
+/*
+ * Adds `deltaMB` (which may be negative) to the availableMB of the storage node
+ * `storageid` in datacenter `dc`, in both the normal and the operator shark
+ * maps.  Rather than modifying the storage record, which may belong to the
+ * caller of loadStorageNodes(), we replace it with an updated copy, and move
+ * that within each datacenter's array so that the array remains sorted by
+ * availableMB, as lower_bound() requires.
+ *
+ * @param {string} dc        - datacenter of the storage node
+ * @param {string} storageid - manta_storage_id of the storage node
+ * @param {number} deltaMB   - change in availableMB
+ */
+function adjustAvailableMB(dc, storageid, deltaMB) {
+    var updated = null;
+
+    [ this.dcSharkMap, this.operatorDcSharkMap ].forEach(function (map) {
+        var sharks = map[dc] || [];
+        var idx = -1;
+
+        for (var i = 0; i < sharks.length; i++) {
+            if (sharks[i].manta_storage_id === storageid) {
+                idx = i;
+                break;
+            }
+        }
+
+        if (idx === -1) {
             return;
         }
 
-        var dcObj = {};
-        var opDcObj = {};
+        if (updated === null) {
+            updated = Object.assign({}, sharks[idx], {
+                availableMB: sharks[idx].availableMB + deltaMB
+            });
+        }
+
+        sharks.splice(idx, 1);
+        var pos = mod_strategies.lower_bound(sharks, updated.availableMB);
+        sharks.splice(pos === -1 ? sharks.length : pos, 0, updated);
+    });
+}
+
+/*
+ * Reserves `sizeMB` on each storage node in `tuple`, so that later calls to
+ * choose() see less available space on them until the next topology is
+ * loaded.  Returns a reservation which can be passed to release().
+ */
+function reserve(tuple, sizeMB) {
+    var self = this;
+    var reservation = {
+        id: ++self.reservationId,
+        generation: self.topologyGeneration,
+        sizeMB: sizeMB,
+        sharks: tuple.map(function (s) {
+            return ({
+                datacenter: s.datacenter,
+                manta_storage_id: s.manta_storage_id
+            });
+        })
+    };
+
+    reservation.sharks.forEach(function (s) {
+        adjustAvailableMB.call(self, s.datacenter, s.manta_storage_id,
+            -sizeMB);
+    });
+    self.reservations[reservation.id] = reservation;
+
+    return (reservation);
+}
+
+/*
+ * Returns the manta_storage_ids of the storage nodes in `topology` which lack
+ * any of the given tags.  A storage record's tags are found in its `tagsField`
+ * property, which is either an array of tags or a single tag.
+ */
+function untaggedStorageNodes(topology, tags) {
+    var self = this;
+    var ids = [];
+
+    if (tags.length === 0) {
+        return (ids);
+    }
+
+    topology.datacenters.forEach(function (dc) {
+        topology.sharkMap[dc].forEach(function (shark) {
+            var have = shark[self.tagsField];
 
-        function sortByDatacenter(maxUtilization, v) {
-            if (!opDcObj[v.datacenter]) {
-                opDcObj[v.datacenter] = [];
+            if (typeof (have) === 'string') {
+                have = [ have ];
+            } else if (!Array.isArray(have)) {
+                have = [];
             }
 
-            /*
-             * The Storinfo service's /storagenodes interface already filters
-             * out storage nodes who's utilization is above the operator
-             * threshold.
-             */
-            opDcObj[v.datacenter].push(v);
-
-            /*
-             * Moray is queried for the sharks whose utilization is less than
-             * or equal to the maximum utilization percentage at which operator
-             * writes are still accepted. Find the set of sharks whose
-             * utilization is less than or equal to the utilization threshold
-             * for all requests.
-             */
-            if (v.percentUsed <= maxUtilization) {
-                if (!dcObj[v.datacenter]) {
-                    dcObj[v.datacenter] = [];
-                }
+            var missing = tags.some(function (tag) {
+                return (have.indexOf(tag) === -1);
+            });
+            if (missing) {
+                ids.push(shark.manta_storage_id);
+            }
+        });
+    });
+
+    return (ids);
+}
+
+/*
+ * Checks that the tuples returned by the placement strategy leave out the
+ * storage nodes which the request says must not be chosen.  The built-in
+ * strategies never choose them, but a custom strategy may not know about
+ * them, and a tripped storage node must not be written to whatever the
+ * strategy.
+ */
+function checkSelection(tuples, request) {
+    var name = this.strategy.name || 'custom';
+    var tags = request.requireTags.join(', ');
+
+    tuples.forEach(function (tuple) {
+        tuple.forEach(function (s) {
+            var id = s.manta_storage_id;
+
+            if (request.tripped.indexOf(id) !== -1) {
+                throw (new VError('placement strategy "%s" chose storage ' +
+                    'node "%s", which is tripped', name, id));
+            }
+            if (request.untagged.indexOf(id) !== -1) {
+                throw (new VError('placement strategy "%s" chose storage ' +
+                    'node "%s", which lacks the tags: %s', name, id, tags));
+            }
+        });
+    });
+}
+
+/*
+ * Invokes the placement strategy for `request`, first requiring the storage
+ * nodes to have the first array of tags in `attempts`, then, if the object
+ * can't be placed, the next, and so on.  The error from the last attempt is
+ * thrown, and the explanation (if any) describes the last attempt made.
+ */
+function selectTagged(topology, request, attempts) {
+    var self = this;
+
+    for (var i = 0; i < attempts.length; i++) {
+        request.requireTags = attempts[i];
+        request.untagged = untaggedStorageNodes.call(self, topology,
+            attempts[i]);
+        if (request.explain) {
+            request.explain.datacenters = [];
+            request.explain.tuples = [];
+        }
+
+        try {
+            var tuples = self.strategy.select(topology, request);
+            checkSelection.call(self, tuples, request);
+            return (tuples);
+        } catch (e) {
+            if (!(e instanceof VError) || i === attempts.length - 1) {
+                throw (e);
+            }
+
+            request.log.debug({
+                tags: attempts[i],
+                err: e
+            }, 'StorinfoClient.choose: falling back from preferred tags');
+        }
+    }
+
+    /* Not reached: the last attempt either returns or throws. */
+    return (undefined);
+}
+
+/*
+ * Records in the explanation of a choose() decision the utilization threshold
+ * of each datacenter and how many of its storage nodes were left out because
+ * they're above it (or have less than minAvailableMB free).  This happens
+ * before the placement strategy sees the storage nodes, so a datacenter with
+ * no storage nodes below the threshold won't have been described by the
+ * strategy, and we add it here.  Operator requests may use any storage node
+ * the Storinfo service returns.
+ */
+function explainUtilization(explain) {
+    var self = this;
+    var dcs = Object.keys(self.operatorDcSharkMap);
+
+    explain.datacenters.forEach(function (report) {
+        report.utilization = explain.isOperator ? 100 :
+            self.getMaxUtilizationPct(report.datacenter);
+        report.overUtilization = 0;
+    });
+
+    if (explain.isOperator) {
+        return;
+    }
+
+    dcs.forEach(function (dc) {
+        var over = self.operatorDcSharkMap[dc].length -
+            (self.dcSharkMap[dc] || []).length;
+        var report = explain.datacenters.filter(function (r) {
+            return (r.datacenter === dc);
+        })[0];
+
+        if (report === undefined) {
+            report = {
+                datacenter: dc,
+                storageNodes: 0,
+                sufficientSpace: 0,
+                excluded: [],
+                tripped: [],
+                untagged: [],
+                existing: [],
+                usable: 0,
+                status: 'all storage nodes are above the utilization ' +
+                    'threshold',
+                utilization: self.getMaxUtilizationPct(dc)
+            };
+            explain.datacenters.push(report);
+        }
+
+        report.overUtilization = over;
+    });
+}
+
+/*
+ * Checks the `tuples`, `minDatacenters` and `maxPerDatacenter` options, given
+ * either to the constructor or (with the "options." prefix) to choose().
+ * minDatacenters may be undefined and maxPerDatacenter may be Infinity.
+ */
+function checkShape(tuples, minDatacenters, maxPerDatacenter, prefix) {
+    assert.ok(tuples >= 1 && tuples % 1 === 0,
+        prefix + 'tuples must be a positive integer');
+    if (minDatacenters !== undefined) {
+        assert.ok(minDatacenters >= 1 && minDatacenters % 1 === 0,
+            prefix + 'minDatacenters must be a positive integer');
+    }
+    if (maxPerDatacenter !== Infinity) {
+        assert.ok(maxPerDatacenter >= 1 && maxPerDatacenter % 1 === 0,
+            prefix + 'maxPerDatacenter must be a positive integer');
+    }
+}
+
+/*
+ * Checks a utilization percentage given to reconfigure().
+ */
+function checkUtilizationPct(pct, name) {
+    assert.number(pct, name);
+    assert.ok(pct > 0 && pct <= 100,
+        name + ' must be greater than 0 and at most 100');
+}
+
+/*
+ * Returns the result of a promise-returning choose().
+ */
+function chooseResult(sharks, stats) {
+    return ({ sharks: sharks, stats: stats });
+}
+
+/*
+ * Returns the result of a promise-returning chooseBatch().
+ */
+function chooseBatchResult(placements, stats) {
+    return ({ placements: placements, stats: stats });
+}
+
+/*
+ * Returns a copy of a tuple for chooseBatch(), whose parts mustn't share
+ * arrays.
+ */
+function copyTuple(tuple) {
+    return (tuple.slice());
+}
+
+/*
+ * Marks the half-open storage nodes of a primary tuple as probed (see
+ * lib/health.js).
+ */
+function recordProbes(tuple) {
+    var self = this;
+
+    tuple.forEach(function (s) {
+        self.health.chosen(s.manta_storage_id);
+    });
+}
+
+/*
+ * Invokes choose() with the given options and returns its results as an
+ * object with `err`, `sharks` and `stats` properties.  choose() always invokes
+ * its callback synchronously.  If `probe` is false, the primary tuple isn't
+ * counted as a probe of its half-open storage nodes.
+ */
+function chooseNow(opts, probe) {
+    var result;
 
-                dcObj[v.datacenter].push(v);
+    chooseTuples.call(this, opts, probe, function (err, sharks, stats) {
+        result = { err: err, sharks: sharks, stats: stats };
+    });
+    assert.object(result, 'choose() result');
+
+    return (result);
+}
+
+/*
+ * Chooses up to `count` disjoint tuples, each with room for `sizeMB` on every
+ * storage node, for chooseBatch().  `opts` holds the options passed to
+ * choose() for each tuple.  Returns an object with the `tuples` found and the
+ * `err` which stopped us finding more, if any.  Any reservations made by
+ * choose() are released, since the caller reserves space itself, and the
+ * tuples aren't counted as probes, since the caller may not use them all.
+ */
+function chooseDisjoint(opts, sizeMB, count) {
+    var self = this;
+    var exclude = opts.exclude || {};
+    var used = [];
+    var tuples = [];
+    var result;
+
+    while (tuples.length < count) {
+        result = chooseNow.call(self, Object.assign({}, opts, {
+            size: sizeMB * 1048576,
+            tuples: 1,
+            exclude: {
+                manta_storage_ids: (exclude.manta_storage_ids || []).concat(
+                    used),
+                datacenters: exclude.datacenters
             }
+        }), false);
+
+        if (result.err) {
+            return ({ tuples: tuples, err: result.err });
         }
 
-        res.forEach(sortByDatacenter.bind(self, self.utilization));
+        if (result.stats.reservation) {
+            self.release(result.stats.reservation);
+        }
+
+        tuples.push(result.sharks[0]);
+        used = used.concat(result.sharks[0].map(function (s) {
+            return (s.manta_storage_id);
+        }));
+    }
+
+    return ({ tuples: tuples, err: null });
+}
+
+/*
+ * Returns the age of the current topology in milliseconds, or null if no
+ * topology has been loaded.
+ */
+function topologyAge() {
+    if (this.topologyTime === null) {
+        return (null);
+    }
+
+    return (Date.now() - this.topologyTime);
+}
+
+/*
+ * Emits a 'stale' event if the topology has just become older than
+ * maxTopologyAgeMs.  The event is emitted once each time the topology goes
+ * stale; loading a new topology resets it.
+ */
+function checkTopologyAge() {
+    var age = topologyAge.call(this);
+
+    if (this.maxTopologyAgeMs === undefined || age === null ||
+        age <= this.maxTopologyAgeMs || this.topologyStale) {
+        return;
+    }
+
+    this.topologyStale = true;
+    this.log.warn({
+        topologyAgeMs: age,
+        maxTopologyAgeMs: this.maxTopologyAgeMs
+    }, 'checkTopologyAge: storage topology is stale');
+    this.emit('stale', this.getHealth());
+}
+
+/*
+ * Arranges for checkTopologyAge() to run when the current topology becomes
+ * older than maxTopologyAgeMs, so that 'stale' is emitted even if a poll hangs
+ * or nothing calls choose().  The timer doesn't keep the process running.
+ */
+function scheduleAgeCheck() {
+    clearTimeout(this.ageTimer);
+
+    if (this.maxTopologyAgeMs === undefined || this.closed) {
+        return;
+    }
+
+    var delay = Math.max(this.maxTopologyAgeMs - topologyAge.call(this) + 1,
+        0);
+
+    this.ageTimer = setTimeout(checkTopologyAge.bind(this), delay);
+    this.ageTimer.unref();
+}
+
+/*
+ * Returns the delay before the next poll after `failures` consecutive failed
+ * polls.  This doubles with each failure, up to maxPollBackoffMs (or
+ * pollInterval, if that's larger).  We use "equal jitter", i.e. somewhere
+ * between half and all of the computed delay, so that a fleet of clients that
+ * lost the Storinfo service at the same time don't all come back at once.
+ */
+function pollDelay(failures) {
+    if (failures === 0) {
+        return (this.pollInterval);
+    }
+
+    var max = Math.max(this.pollInterval, this.maxPollBackoffMs);
+    var delay = Math.min(this.pollInterval * Math.pow(2, failures), max);
+
+    return (Math.round(delay / 2 + Math.random() * delay / 2));
+}
+
+/*
+ * Saves the storage records from a successful poll to the snapshot file.  If
+ * the previous snapshot is still being written, this one is skipped: the next
+ * poll will write a newer one anyway.  Failures are logged, but are otherwise
+ * ignored.
+ */
+function saveSnapshot(records, timestamp) {
+    var self = this;
+
+    if (self.snapshotWriting) {
+        return;
+    }
+
+    function onWrite(err) {
+        self.snapshotWriting = false;
+        if (err) {
+            self.log.warn(err, 'saveSnapshot: failed to save snapshot');
+            return;
+        }
+
+        self.log.trace({ file: self.snapshotFile },
+            'saveSnapshot: snapshot saved');
+    }
+
+    self.snapshotWriting = true;
+    mod_snapshot.writeSnapshot(self.snapshotFile, records, timestamp, onWrite);
+}
+
+/*
+ * Loads the storage topology from the snapshot file, if there is one, it's no
+ * older than maxSnapshotAgeMs, and no poll of the Storinfo service has
+ * succeeded in the meantime.  The resulting 'topology' event has a source of
+ * 'cache'.
+ */
+function loadSnapshot() {
+    var self = this;
+
+    mod_snapshot.readSnapshot(self.snapshotFile, function (err, snapshot) {
+        if (self.closed || self.lastPollSuccessTime !== null) {
+            return;
+        }
+
+        if (err) {
+            if (err.cause() && err.cause().code === 'ENOENT') {
+                self.log.info({ file: self.snapshotFile },
+                    'loadSnapshot: no snapshot found');
+            } else {
+                self.log.warn(err, 'loadSnapshot: ignoring snapshot');
+            }
+            return;
+        }
+
+        var age = Date.now() - snapshot.timestamp.getTime();
+        if (age > self.maxSnapshotAgeMs) {
+            self.log.warn({
+                file: self.snapshotFile,
+                snapshotAgeMs: age,
+                maxSnapshotAgeMs: self.maxSnapshotAgeMs
+            }, 'loadSnapshot: ignoring snapshot which is too old');
+            return;
+        }
+
+        self.log.info({
+            file: self.snapshotFile,
+            snapshotAgeMs: age,
+            records: snapshot.records.length
+        }, 'loadSnapshot: loaded storage topology from snapshot');
+
+        var maps = groupByDatacenter.call(self, snapshot.records);
+        sortAndStoreDcs.call(self, maps.dcObj, maps.opDcObj,
+            { source: 'cache', timestamp: snapshot.timestamp });
+    });
+}
+
+function doPoll() {
+    clearTimeout(this.pollTimer);
+
+    var self = this;
+    var args = {};
+
+    self.pollInFlight = true;
+    self.getStorageNodes(args, function (err, res) {
+        self.pollInFlight = false;
+
+        if (self.closed) {
+            return;
+        }
+
+        if (err) {
+            self.pollFailures++;
+            self.lastPollError = err;
+            self.lastPollFailureTime = Date.now();
+
+            var delay = pollDelay.call(self, self.pollFailures);
+            self.pollTimer = setTimeout(doPoll.bind(self), delay);
+
+            self.log.error({
+                err: err,
+                consecutiveFailures: self.pollFailures,
+                retryMs: delay
+            }, 'doPoll: unexpected error (will retry)');
+
+            self.emit('pollError', err);
+            checkTopologyAge.call(self);
+            return;
+        }
+
+        var timestamp = new Date();
+
+        self.pollFailures = 0;
+        self.lastPollSuccessTime = timestamp.getTime();
+        self.pollTimer = setTimeout(doPoll.bind(self), self.pollInterval);
+
+        if (self.snapshotFile !== undefined) {
+            saveSnapshot.call(self, res, timestamp);
+        }
+
+        var maps = groupByDatacenter.call(self, res);
+
+        /*
+         * We just defer to the next tick so we're not tying
+         * up the event loop to sort a lot if the list is large
+         */
+        setImmediate(sortAndStoreDcs.bind(self, maps.dcObj, maps.opDcObj,
+            { source: 'poll', timestamp: timestamp }));
+    });
+}
+
+/*
+ * url: storinfo service URL
+ * cueballOpts: object containing required cueball options
+ */
+function StorinfoClient(opts) {
+    assert.object(opts, 'opts');
+    assert.optionalObject(opts.log, 'log');
+    assert.optionalNumber(opts.pollInterval, 'pollInterval');
+    assert.optionalBool(opts.multiDC, 'multiDC');
+    assert.optionalNumber(opts.defaultMaxStreamingSizeMB,
+        'defaultMaxStreamingSizeMB');
+    assert.optionalNumber(opts.maxUtilizationPct, 'maxUtilizationPct');
+    assert.optionalObject(opts.maxUtilizationPctByDc, 'maxUtilizationPctByDc');
+    assert.optionalNumber(opts.minAvailableMB, 'minAvailableMB');
+    assert.optionalString(opts.selection, 'selection');
+    assert.optionalString(opts.dcSelection, 'dcSelection');
+    assert.optionalArrayOfString(opts.faultDomains, 'faultDomains');
+    assert.optionalString(opts.tagsField, 'tagsField');
+    assert.optionalFunc(opts.random, 'random');
+    assert.optionalNumber(opts.maxRecordAgeMs, 'maxRecordAgeMs');
+    assert.optionalNumber(opts.maxPollBackoffMs, 'maxPollBackoffMs');
+    assert.optionalNumber(opts.maxTopologyAgeMs, 'maxTopologyAgeMs');
+    assert.optionalBool(opts.refuseStaleTopology, 'refuseStaleTopology');
+    assert.optionalString(opts.snapshotFile, 'snapshotFile');
+    assert.optionalNumber(opts.maxSnapshotAgeMs, 'maxSnapshotAgeMs');
+    assert.optionalNumber(opts.pageSize, 'pageSize');
+    assert.optionalBool(opts.reservations, 'reservations');
+    assert.optionalObject(opts.nodeHealth, 'nodeHealth');
+    assert.optionalNumber(opts.tuples, 'tuples');
+    assert.optionalNumber(opts.minDatacenters, 'minDatacenters');
+    assert.optionalNumber(opts.maxPerDatacenter, 'maxPerDatacenter');
+    if (opts.refuseStaleTopology) {
+        assert.number(opts.maxTopologyAgeMs, 'maxTopologyAgeMs');
+    }
+    assert.bool(opts.standalone, 'standalone');
+
+    if (typeof (opts.strategy) === 'object') {
+        assert.func(opts.strategy.select, 'strategy.select');
+    } else {
+        assert.optionalString(opts.strategy, 'strategy');
+    }
+
+    if (opts.maxUtilizationPctByDc) {
+        Object.keys(opts.maxUtilizationPctByDc).forEach(function (dc) {
+            assert.number(opts.maxUtilizationPctByDc[dc],
+                'maxUtilizationPctByDc.' + dc);
+        });
+    }
+
+    if (opts.selection !== undefined) {
+        assert.ok(SELECTION_MODES.indexOf(opts.selection) !== -1,
+            'selection must be one of: ' + SELECTION_MODES.join(', '));
+    }
+
+    if (opts.dcSelection !== undefined) {
+        assert.ok(DC_SELECTION_MODES.indexOf(opts.dcSelection) !== -1,
+            'dcSelection must be one of: ' + DC_SELECTION_MODES.join(', '));
+    }
+
+    this.log = opts.log || bunyan.createLogger({ name: 'storinfo' });
+
+    /*
+     * If we're not running in standalone mode, create the restify client.
+     */
+    if (!opts.standalone) {
+        assert.string(opts.url, 'url');
+        assert.object(opts.cueballOpts, 'cueballOpts');
+
+        opts.cueballOpts.log = this.log;
+        this.agent = new cueball.HttpAgent(opts.cueballOpts);
+        var clientOpts = {
+            url: opts.url,
+            agent: this.agent,
+            log: this.log
+        };
+
+        this.http = restify.createJsonClient(clientOpts);
+    }
+    this.standalone = opts.standalone;
+
+    EventEmitter.call(this);
+
+    /*
+     * The dcSharkMap is an object that maps datacenter names to an array of
+     * sharks sorted by available storage capacity that are all at or below the
+     * storage utilization threshold for normal manta requests.
+     */
+    this.dcSharkMap = null;
+    /*
+     * The operatorDcSharkMap is an object that maps datacenter names to an
+     * array of sharks sorted by available storage capacity that are all at or
+     * below the storage utilization threshold for operator manta requests.
+     */
+    this.operatorDcSharkMap = null;
+
+    /*
+     * The placement strategy used by choose().  This is either an instance of
+     * a registered strategy, created just for this client, or an object
+     * supplied directly by the consumer.
+     */
+    if (typeof (opts.strategy) === 'object') {
+        this.strategy = opts.strategy;
+    } else {
+        this.strategy = mod_strategies.createStrategy(opts.strategy ||
+            mod_strategies.DEF_STRATEGY);
+    }
+
+    this.multiDC = opts.multiDC === undefined ? true : opts.multiDC;
+    this.datacenters = null;
+    this.defMaxSizeMB = opts.defaultMaxStreamingSizeMB ||
+        DEF_MAX_STREAMING_SIZE_MB;
+    this.utilization = opts.maxUtilizationPct ||
+        DEF_MAX_PERCENT_UTIL;
+    /*
+     * Per-datacenter overrides of the utilization threshold, and the minimum
+     * free space a storage node must have for normal requests whatever its
+     * utilization.  See getMaxUtilizationPct().
+     */
+    this.utilizationByDc = Object.assign({}, opts.maxUtilizationPctByDc);
+    this.minAvailableMB = opts.minAvailableMB || 0;
+    this.selection = opts.selection || DEF_SELECTION;
+    this.dcSelection = opts.dcSelection || DEF_DC_SELECTION;
+    /*
+     * Storage record properties (e.g. 'rack' or 'server_uuid') identifying
+     * fault domains within a datacenter, from broadest to narrowest.  choose()
+     * spreads each tuple across these where it can.
+     */
+    this.faultDomains = opts.faultDomains || [];
+    /*
+     * The storage record property holding a storage node's tags (e.g. its
+     * storage class), which choose()'s requireTags and preferTags options are
+     * matched against.
+     */
+    this.tagsField = opts.tagsField || DEF_TAGS_FIELD;
+    /*
+     * The shape of the result of choose(): the number of tuples (the primary
+     * and its fallbacks), the minimum number of distinct datacenters that each
+     * tuple must span and the maximum number of its storage nodes that may be
+     * in any one datacenter.  If minDatacenters isn't set, it depends on the
+     * request (see choose()).
+     */
+    this.tuples = opts.tuples !== undefined ? opts.tuples : DEF_NUM_TUPLES;
+    this.minDatacenters = opts.minDatacenters;
+    this.maxPerDatacenter = opts.maxPerDatacenter !== undefined ?
+        opts.maxPerDatacenter : Infinity;
+    checkShape(this.tuples, this.minDatacenters, this.maxPerDatacenter, '');
+    /*
+     * Storage records that haven't been updated for more than maxRecordAgeMs
+     * are left out of the shark maps.  staleNodes maps the manta_storage_id of
+     * each such storage node to its last storage record.
+     */
+    this.maxRecordAgeMs = opts.maxRecordAgeMs;
+    this.staleNodes = {};
+
+    /*
+     * Polling health.  After a failed poll, we back off exponentially up to
+     * maxPollBackoffMs.  Once the topology is older than maxTopologyAgeMs, we
+     * emit a 'stale' event, and if refuseStaleTopology is set, choose() will
+     * refuse to place objects until a poll succeeds.
+     */
+    this.maxPollBackoffMs = opts.maxPollBackoffMs || DEF_MAX_POLL_BACKOFF_MS;
+    this.maxTopologyAgeMs = opts.maxTopologyAgeMs;
+    this.refuseStaleTopology = !!opts.refuseStaleTopology;
+    this.pollFailures = 0;
+    this.lastPollError = null;
+    this.lastPollFailureTime = null;
+    this.lastPollSuccessTime = null;
+    this.topologyTime = null;
+    this.topologySource = null;
+    this.topologyStale = false;
+    this.ageTimer = undefined;
+    /*
+     * The generation is incremented each time a new topology is loaded.
+     * topologyIndex describes the storage nodes in the current topology (see
+     * indexTopology()), so that the next one can be compared with it.
+     */
+    this.topologyGeneration = 0;
+    this.topologyIndex = null;
+    this.closed = false;
+    /*
+     * The storage records the current topology was built from (see
+     * groupByDatacenter()), and whether a poll is in progress.
+     */
+    this.lastRecords = null;
+    this.pollInFlight = false;
+
+    /*
+     * If snapshotFile is set, the records from each successful poll are saved
+     * there, and a newly created client loads its initial topology from it
+     * (as long as it's no older than maxSnapshotAgeMs) so that it can place
+     * objects before its first poll succeeds.
+     */
+    this.snapshotFile = opts.snapshotFile;
+    this.maxSnapshotAgeMs = opts.maxSnapshotAgeMs || DEF_MAX_SNAPSHOT_AGE_MS;
+    this.snapshotWriting = false;
+
+    /*
+     * The number of storage records to request per page from /storagenodes,
+     * unless the caller asks for something else.  If this isn't set, the
+     * Storinfo service picks the page size.
+     */
+    this.pageSize = opts.pageSize;
+
+    /*
+     * If reservations are enabled, each successful choose() subtracts the
+     * object's size from the availableMB of the storage nodes in the primary
+     * tuple, so that a burst of uploads between polls doesn't pile onto the
+     * same few storage nodes.  Outstanding reservations are kept in
+     * `reservations`, keyed by id, and are discarded when a new topology is
+     * loaded, since it reflects the space actually used.
+     */
+    this.reserveSpace = !!opts.reservations;
+    this.reservations = {};
+    this.reservationId = 0;
+    /*
+     * The health of storage nodes as reported by reportResult().  Storage
+     * nodes whose circuit breaker has tripped are left out of choose() until
+     * they've been successfully probed.
+     */
+    this.health = new mod_health.NodeHealthTracker(opts.nodeHealth || {});
+    /*
+     * The source of randomness for choose().  By default this is Math.random,
+     * but a seed or generator may be supplied to make placement decisions
+     * reproducible.
+     */
+    if (opts.random) {
+        this.random = opts.random;
+    } else if (opts.seed !== undefined) {
+        this.random = mod_strategies.createRandom(opts.seed);
+    } else {
+        this.random = Math.random;
+    }
+
+    if (opts.pollInterval !== undefined && !opts.standalone) {
+        this.pollInterval = opts.pollInterval;
+        if (this.snapshotFile !== undefined) {
+            loadSnapshot.call(this);
+        }
+        setImmediate(doPoll.bind(this));
+    }
+}
+util.inherits(StorinfoClient, EventEmitter);
+
+StorinfoClient.prototype.close = function close() {
+    if (this.closed) {
+        return;
+    }
+
+    this.closed = true;
+    if (this.pollTimer) {
+        clearTimeout(this.pollTimer);
+    }
+    clearTimeout(this.ageTimer);
+    if (this.http) {
+        this.http.close();
+        this.agent.stop();
+    }
+};
+
+/*
+ * Changes the client's configuration without recreating it.  Any of the
+ * following options may be given, and are validated as they are by the
+ * constructor; options which aren't given are left as they are:
+ *
+ *   maxUtilizationPct, maxUtilizationPctByDc (which replaces the existing
+ *   overrides rather than adding to them), minAvailableMB, multiDC,
+ *   defaultMaxStreamingSizeMB, pollInterval
+ *
+ * Utilization percentages must also be greater than 0 and at most 100, and
+ * pollInterval must be positive.
+ *
+ * If the client has a storage topology, it's rebuilt from the storage records
+ * it was built from with the new settings, and a 'topology' event is emitted
+ * (with the source and timestamp of the original records) before this method
+ * returns.  As with any new topology, outstanding reservations are discarded.
+ * A topology given to the deprecated sortAndStoreDcs() has no storage records
+ * to rebuild it from, so it's left as it is until the next one.
+ *
+ * A new pollInterval takes effect from the next poll.  A client which wasn't
+ * polling starts doing so.
+ *
+ * @param {object} opts - new settings
+ * @returns {boolean} whether the topology was rebuilt.
+ * @throws {TypeError} on bad input, in which case nothing is changed.
+ */
+StorinfoClient.prototype.reconfigure = function reconfigure(opts) {
+    assert.object(opts, 'opts');
+    assert.optionalNumber(opts.maxUtilizationPct, 'maxUtilizationPct');
+    assert.optionalObject(opts.maxUtilizationPctByDc, 'maxUtilizationPctByDc');
+    assert.optionalNumber(opts.minAvailableMB, 'minAvailableMB');
+    assert.optionalBool(opts.multiDC, 'multiDC');
+    assert.optionalNumber(opts.defaultMaxStreamingSizeMB,
+        'defaultMaxStreamingSizeMB');
+    assert.optionalNumber(opts.pollInterval, 'pollInterval');
+
+    if (opts.maxUtilizationPct !== undefined) {
+        checkUtilizationPct(opts.maxUtilizationPct, 'maxUtilizationPct');
+    }
+
+    if (opts.maxUtilizationPctByDc) {
+        Object.keys(opts.maxUtilizationPctByDc).forEach(function (dc) {
+            checkUtilizationPct(opts.maxUtilizationPctByDc[dc],
+                'maxUtilizationPctByDc.' + dc);
+        });
+    }
+
+    if (opts.pollInterval !== undefined) {
+        assert.ok(opts.pollInterval > 0, 'pollInterval must be positive');
+        assert.ok(!this.standalone,
+            'pollInterval cannot be set on a standalone client');
+        assert.ok(!this.closed, 'client is closed');
+    }
+
+    var self = this;
+
+    if (opts.maxUtilizationPct !== undefined) {
+        self.utilization = opts.maxUtilizationPct;
+    }
+    if (opts.maxUtilizationPctByDc !== undefined) {
+        self.utilizationByDc = Object.assign({}, opts.maxUtilizationPctByDc);
+    }
+    if (opts.minAvailableMB !== undefined) {
+        self.minAvailableMB = opts.minAvailableMB;
+    }
+    if (opts.multiDC !== undefined) {
+        self.multiDC = opts.multiDC;
+    }
+    if (opts.defaultMaxStreamingSizeMB !== undefined) {
+        self.defMaxSizeMB = opts.defaultMaxStreamingSizeMB ||
+            DEF_MAX_STREAMING_SIZE_MB;
+    }
+
+    self.log.info({
+        maxUtilizationPct: self.utilization,
+        maxUtilizationPctByDc: self.utilizationByDc,
+        minAvailableMB: self.minAvailableMB,
+        multiDC: self.multiDC,
+        defaultMaxStreamingSizeMB: self.defMaxSizeMB,
+        pollInterval: opts.pollInterval
+    }, 'reconfigure: configuration changed');
+
+    /*
+     * If we're between polls, reschedule the next one with the new interval.
+     * If a poll is in progress (or the first one hasn't started yet), it will
+     * schedule the next one itself.
+     */
+    if (opts.pollInterval !== undefined) {
+        var polling = self.pollInterval !== undefined;
+
+        self.pollInterval = opts.pollInterval;
+        if (!polling) {
+            setImmediate(doPoll.bind(self));
+        } else if (self.pollTimer !== undefined && !self.pollInFlight) {
+            clearTimeout(self.pollTimer);
+            self.pollTimer = setTimeout(doPoll.bind(self),
+                pollDelay.call(self, self.pollFailures));
+        }
+    }
+
+    if (self.topologyTime === null) {
+        return (false);
+    }
+
+    if (self.lastRecords === null) {
+        self.log.warn('reconfigure: topology was not loaded from storage ' +
+            'records, so it was not rebuilt');
+        return (false);
+    }
+
+    var maps = groupByDatacenter.call(self, self.lastRecords);
+    sortAndStoreDcs.call(self, maps.dcObj, maps.opDcObj, {
+        source: self.topologySource,
+        timestamp: new Date(self.topologyTime),
+        reconfigured: true
+    });
+
+    return (true);
+};
+
+/*
+ * Reports the outcome of an attempt to store an object on a storage node, e.g.
+ * one chosen by choose().  The client keeps a decaying error rate and mean
+ * latency for each storage node, and when either exceeds the limits given by
+ * the `nodeHealth` option, the storage node's circuit breaker trips and it's
+ * left out of choose() for a while.  After that, it may be chosen once more as
+ * a probe, and the result of that decides whether it's used again or left out
+ * for another while.  See lib/health.js for details.
+ *
+ * A 'nodeTripped' event is emitted when a storage node's breaker trips, and a
+ * 'nodeRestored' event when it closes again.  Both carry the storage node's
+ * health, as returned by getNodeHealth().
+ *
+ * @param {string} storageId      - manta_storage_id of the storage node
+ * @param {object} result
+ * @param {boolean} result.ok     - whether the attempt succeeded
+ * @param {number} result.latencyMs - optional duration of the attempt
+ * @throws {TypeError} on bad input.
+ */
+StorinfoClient.prototype.reportResult = function reportResult(storageId,
+    result) {
+    assert.string(storageId, 'storageId');
+    assert.object(result, 'result');
+    assert.bool(result.ok, 'result.ok');
+    assert.optionalNumber(result.latencyMs, 'result.latencyMs');
+
+    var state = this.health.report(storageId, result);
+
+    if (state === mod_health.STATE_OPEN) {
+        this.log.warn(this.health.get(storageId),
+            'reportResult: storage node tripped');
+        this.emit('nodeTripped', this.health.get(storageId));
+    } else if (state === mod_health.STATE_CLOSED) {
+        this.log.info(this.health.get(storageId),
+            'reportResult: storage node restored');
+        this.emit('nodeRestored', this.health.get(storageId));
+    }
+};
+
+/*
+ * Returns the health of the given storage node, based on the results reported
+ * with reportResult(), or if no storage node is given, an array with the health
+ * of each storage node for which results have been reported.  Each is an object
+ * with the following properties:
+ *
+ *   manta_storage_id
+ *   state: 'closed' (in use), 'open' (tripped) or 'half-open' (may be
+ *       chosen as a probe)
+ *   samples: decayed number of results
+ *   errorRate: decayed error rate, between 0 and 1
+ *   latencyMs: decayed mean latency, or null
+ *   trippedAt: Date when the storage node last tripped, or null if it's in use
+ *
+ * @param {string} storageId - optional manta_storage_id
+ */
+StorinfoClient.prototype.getNodeHealth = function getNodeHealth(storageId) {
+    assert.optionalString(storageId, 'storageId');
+
+    if (storageId !== undefined) {
+        return (this.health.get(storageId));
+    }
+
+    return (this.health.list());
+};
+
+/*
+ * Releases a reservation made by choose() (see the `reservations` option),
+ * e.g. because the upload it was made for failed, returning the reserved
+ * space to the storage nodes.  Returns true if the reservation was released,
+ * or false if it had already been released or discarded because a new
+ * topology has been loaded since it was made.
+ *
+ * @param {object} reservation - the `reservation` from choose()'s chooseStats
+ * @throws {TypeError} on bad input.
+ */
+StorinfoClient.prototype.release = function release(reservation) {
+    assert.object(reservation, 'reservation');
+    assert.number(reservation.id, 'reservation.id');
+
+    var self = this;
+
+    if (self.reservations[reservation.id] !== reservation ||
+        reservation.generation !== self.topologyGeneration) {
+        return (false);
+    }
+
+    delete (self.reservations[reservation.id]);
+    reservation.sharks.forEach(function (s) {
+        adjustAvailableMB.call(self, s.datacenter, s.manta_storage_id,
+            reservation.sizeMB);
+    });
+
+    return (true);
+};
+
+/*
+ * Returns the utilization threshold (as a percentage) above which storage nodes
+ * in the given datacenter aren't used for normal requests.  This is the
+ * datacenter's entry in maxUtilizationPctByDc, if it has one, and otherwise
+ * maxUtilizationPct.
+ *
+ * @param {string} dc - datacenter name
+ * @returns {number} the threshold
+ */
+StorinfoClient.prototype.getMaxUtilizationPct = function getMaxUtilizationPct(
+    dc) {
+    assert.string(dc, 'dc');
+
+    if (this.utilizationByDc.hasOwnProperty(dc)) {
+        return (this.utilizationByDc[dc]);
+    }
 
-        /*
-         * We just defer to the next tick so we're not tying
-         * up the event loop to sort a lot if the list is large
-         */
-        setImmediate(sortAndStoreDcs.bind(self, dcObj, opDcObj));
-    });
-}
+    return (this.utilization);
+};
 
 /*
- * url: storinfo service URL
- * cueballOpts: object containing required cueball options
+ * Returns an object describing the health of the client's view of the storage
+ * topology:
+ *   lastPollSuccess: Date of the last successful poll, or null
+ *   lastPollFailure: Date of the last failed poll, or null
+ *   lastPollError: the error from the last failed poll, or null
+ *   consecutiveFailures: Number of polls that have failed since the last
+ *       successful one
+ *   topologyAgeMs: age of the current topology in milliseconds, or null if
+ *       no topology has been loaded
+ *   topologySource: where the current topology came from ('poll', 'cache'
+ *       or 'load'), or null
+ *   topologyGeneration: generation number of the current topology, which is
+ *       incremented each time it changes, or 0 if none has been loaded
+ *   stale: Boolean indicating whether the topology is older than
+ *       maxTopologyAgeMs
  */
-function StorinfoClient(opts) {
-    assert.object(opts, 'opts');
-    assert.optionalObject(opts.log, 'log');
-    assert.optionalNumber(opts.pollInterval, 'pollInterval');
-    assert.optionalBool(opts.multiDC, 'multiDC');
-    assert.optionalNumber(opts.defaultMaxStreamingSizeMB,
-        'defaultMaxStreamingSizeMB');
-    assert.optionalNumber(opts.maxUtilizationPct, 'maxUtilizationPct');
-    assert.bool(opts.standalone, 'standalone');
+StorinfoClient.prototype.getHealth = function getHealth() {
+    var age = topologyAge.call(this);
 
-    this.log = opts.log || bunyan.createLogger({ name: 'storinfo' });
+    function toDate(time) {
+        return (time === null ? null : new Date(time));
+    }
 
-    /*
-     * If we're not running in standalone mode, create the restify client.
-     */
-    if (!opts.standalone) {
-        assert.string(opts.url, 'url');
-        assert.object(opts.cueballOpts, 'cueballOpts');
+    return ({
+        lastPollSuccess: toDate(this.lastPollSuccessTime),
+        lastPollFailure: toDate(this.lastPollFailureTime),
+        lastPollError: this.lastPollError,
+        consecutiveFailures: this.pollFailures,
+        topologyAgeMs: age,
+        topologySource: this.topologySource,
+        topologyGeneration: this.topologyGeneration,
+        stale: this.maxTopologyAgeMs !== undefined && age !== null &&
+            age > this.maxTopologyAgeMs
+    });
+};
 
-        opts.cueballOpts.log = this.log;
-        var clientOpts = {
-            url: opts.url,
-            agent: new cueball.HttpAgent(opts.cueballOpts),
-            log: this.log
-        };
+/*
+ * Waits until the client has a storage topology to place objects with, i.e.
+ * until the first successful poll has completed or loadStorageNodes() has been
+ * called.  There are two arguments:
+ *   opts: optional object containing the following optional params:
+ *       timeout: Number of milliseconds to wait
+ *
+ *   callback: callback with the signature: callback(err)
+ *       err: on success, this will be null.  If no topology has been loaded
+ *            within the timeout, this will be a NoTopologyError.
+ *
+ * If the callback is omitted, a promise is returned instead.
+ */
+StorinfoClient.prototype.ready = function ready(opts, callback) {
+    if (typeof (opts) === 'function') {
+        callback = opts;
+        opts = {};
+    }
 
-        this.http = restify.createJsonClient(clientOpts);
+    if (opts === undefined) {
+        opts = {};
     }
-    this.standalone = opts.standalone;
 
-    EventEmitter.call(this);
+    if (callback === undefined) {
+        return (callbackPromise(this.ready.bind(this, opts)));
+    }
 
-    /*
-     * The dcSharkMap is an object that maps datacenter names to an array of
-     * sharks sorted by available storage capacity that are all at or below the
-     * storage utilization threshold for normal manta requests.
-     */
-    this.dcSharkMap = null;
-    /*
-     * The operatorDcSharkMap is an object that maps datacenter names to an
-     * array of sharks sorted by available storage capacity that are all at or
-     * below the storage utilization threshold for operator manta requests.
-     */
-    this.operatorDcSharkMap = null;
+    assert.object(opts, 'opts');
+    assert.optionalNumber(opts.timeout, 'opts.timeout');
+    assert.func(callback, 'callback');
 
-    this.dcIndex = -1;
-    this.multiDC = opts.multiDC === undefined ? true : opts.multiDC;
-    this.datacenters = null;
-    this.defMaxSizeMB = opts.defaultMaxStreamingSizeMB ||
-        DEF_MAX_STREAMING_SIZE_MB;
-    this.utilization = opts.maxUtilizationPct ||
-        DEF_MAX_PERCENT_UTIL;
+    var self = this;
+    var timer;
 
-    if (opts.pollInterval !== undefined && !opts.standalone) {
-        this.pollInterval = opts.pollInterval;
-        setImmediate(doPoll.bind(this));
+    if (self.datacenters !== null) {
+        setImmediate(callback, null);
+        return (undefined);
     }
-}
-util.inherits(StorinfoClient, EventEmitter);
 
-StorinfoClient.prototype.close = function close() {
-    if (this.pollTimer) {
-        clearTimeout(this.pollTimer);
+    function onTopology() {
+        clearTimeout(timer);
+        callback(null);
     }
-    if (this.http) {
-        this.http.close();
+
+    self.once('topology', onTopology);
+
+    if (opts.timeout !== undefined) {
+        timer = setTimeout(function onTimeout() {
+            self.removeListener('topology', onTopology);
+            callback(new errors.NoTopologyError(opts.timeout));
+        }, opts.timeout);
     }
+
+    return (undefined);
 };
 
 /*
@@ -305,10 +1614,17 @@ StorinfoClient.prototype.close = function close() {
  * param will contain manta_storage object for the requested storage node.
  *
  * On failure, the "obj" param will be set to null.
+ *
+ * If the callback is omitted, a promise is returned instead, which resolves to
+ * the manta_storage object.
  */
 StorinfoClient.prototype.getStorageNode = function getStorageNode(storageid,
     callback) {
 
+    if (callback === undefined) {
+        return (callbackPromise(this.getStorageNode.bind(this, storageid)));
+    }
+
     assert.string(storageid, 'storageid');
 
     /*
@@ -317,7 +1633,7 @@ StorinfoClient.prototype.getStorageNode = function getStorageNode(storageid,
     if (this.standalone) {
         var standErr = new errors.StandaloneModeError();
         callback(standErr, null);
-        return;
+        return (undefined);
     }
 
     this.http.get('/storagenodes/' + storageid, function (err, req, res, obj) {
@@ -327,6 +1643,8 @@ StorinfoClient.prototype.getStorageNode = function getStorageNode(storageid,
         }
         callback(null, obj);
     });
+
+    return (undefined);
 };
 
 /*
@@ -336,20 +1654,28 @@ StorinfoClient.prototype.getStorageNode = function getStorageNode(storageid,
  *   args: object containing the following properties
  *       opts: optional object containing the following optional params:
  *           after_id: String manta_storage_id
- *           limit: Number
+ *           limit: Number of storage records to request per page
  *
- *       The args object is also used internally to store the intermiediate and
- *       final results of successive calls to /storagenodes.
+ *       All pages of results are fetched and combined.  The args object is
+ *       not modified.  To process storage records as they arrive, use
+ *       listStorageNodes() instead.
  *
  *   callback: callback with the signature: callback(err, res)
  *       err: object containing error details if an error occurs
  *            on success, this param will be null
  *       res: on success, this will contain the response from /storagenodes
  *            on error, this will be null
+ *
+ * If the callback is omitted, a promise is returned instead, which resolves to
+ * the array of storage records.  In this case, args is optional.
  */
 StorinfoClient.prototype.getStorageNodes = function getStorageNodes(args,
     callback) {
 
+    if (callback === undefined) {
+        return (callbackPromise(this.getStorageNodes.bind(this, args || {})));
+    }
+
     assert.object(args, 'args');
     assert.optionalObject(args.opts);
     if (args.opts) {
@@ -357,48 +1683,111 @@ StorinfoClient.prototype.getStorageNodes = function getStorageNodes(args,
         assert.optionalFinite(args.opts.limit, 'opts.limit');
     }
 
-    var self = this;
-
     /*
      * getStorageNodes isn't supported in standalone mode
      */
-    if (self.standalone) {
+    if (this.standalone) {
         var standErr = new errors.StandaloneModeError();
         callback(standErr, null);
-        return;
+        return (undefined);
     }
 
-    var httpOpts = {
-        path: '/storagenodes',
-        query: args.opts
-    };
+    var records = [];
+    var done = once(callback);
+    var opts = Object.assign({}, args.opts, { pages: true });
+
+    this.listStorageNodes(opts).on('data', function (page) {
+        Array.prototype.push.apply(records, page);
+    }).on('error', function (err) {
+        done(err, null);
+    }).on('end', function () {
+        done(null, records);
+    });
+
+    return (undefined);
+};
+
+/*
+ * Returns an object mode Readable stream of the storage records in the
+ * Storinfo service, fetched a page at a time from the /storagenodes API.  Each
+ * page is only requested once the previous one has been consumed, so callers
+ * can start work on the first records before the rest arrive.  The stream can
+ * also be consumed with `for await`.
+ *
+ * opts: optional object with the following properties:
+ *    after_id: only return storage records after this manta_storage_id
+ *    limit: the number of storage records to request per page (default: the
+ *        client's pageSize)
+ *    pages: if true, emit each page as an array of storage records instead of
+ *        emitting the storage records individually
+ *    signal: an AbortSignal.  If it's aborted, the stream is destroyed with an
+ *        AbortError.
+ *
+ * In standalone mode, the stream emits a StandaloneModeError.
+ */
+StorinfoClient.prototype.listStorageNodes = function listStorageNodes(opts) {
+    assert.optionalObject(opts, 'opts');
 
-    if (args.res === undefined) {
-        args.res = [];
+    opts = Object.assign({}, opts, { log: this.log });
+    if (opts.limit === undefined) {
+        opts.limit = this.pageSize;
     }
 
-    this.http.get(httpOpts, function (err, req, res, obj) {
-        if (err) {
-            callback(err, null);
-            return;
-        }
-        Array.prototype.push.apply(args.res, obj);
-        if (res.headers.link !== undefined) {
-            /*
-             * The format of the 'link' is:
-             * </storagenodes?after_id=storageid&limiit=number>; rel=\"next\"
-             *
-             * we extract the after_id parameter
-             */
-            args.opts.after_id =
-                res.headers.link.split('=')[1].split('&')[0];
-            self.getStorageNodes(args, function (_r, e) {
-                callback(e, args.res);
+    if (this.standalone) {
+        var s = new stream.PassThrough({ objectMode: true });
+        setImmediate(function () {
+            s.destroy(new errors.StandaloneModeError());
+        });
+        return (s);
+    }
+
+    return (new mod_pager.StorageNodeStream(this.http, opts));
+};
+
+
+/*
+ * Loads a set of storage records into the client, as if they had just been
+ * returned by a poll of the Storinfo service.  This is primarily intended for
+ * standalone clients, which never poll, but it works for any client.  The
+ * records are filtered by utilization (and age, if maxRecordAgeMs is set) in
+ * the same way as polled records, and a 'topology' event (with a source of
+ * 'load') is emitted once they have been loaded.
+ *
+ * The records may be given either as an array, in the format returned by the
+ * /storagenodes API, or as an object mapping datacenter names to arrays of
+ * records, in the format printed by `mchoose poll -j`.  In the latter case, a
+ * record's `datacenter` defaults to the datacenter it's listed under.  The
+ * records themselves are not modified.
+ *
+ * @param {object[]|object} records - storage records
+ * @throws {TypeError} on bad input.
+ */
+StorinfoClient.prototype.loadStorageNodes = function loadStorageNodes(records) {
+    var flat = [];
+
+    if (Array.isArray(records)) {
+        flat = records;
+    } else {
+        assert.object(records, 'records');
+        Object.keys(records).forEach(function (dc) {
+            assert.arrayOfObject(records[dc], 'records.' + dc);
+            records[dc].forEach(function (r) {
+                if (r.datacenter === undefined) {
+                    r = Object.assign({ datacenter: dc }, r);
+                }
+                flat.push(r);
             });
-        } else {
-            callback(err, args.res);
-        }
+        });
+    }
+
+    flat.forEach(function (r) {
+        assert.string(r.manta_storage_id, 'record.manta_storage_id');
+        assert.string(r.datacenter, 'record.datacenter');
+        assert.number(r.availableMB, 'record.availableMB');
     });
+
+    var maps = groupByDatacenter.call(this, flat);
+    sortAndStoreDcs.call(this, maps.dcObj, maps.opDcObj, { source: 'load' });
 };
 
 
@@ -409,17 +1798,79 @@ StorinfoClient.prototype.getStorageNodes = function getStorageNodes(args,
  *                   - {number} size => req.getContentLength()
  *                   - {number} replicas => req.header('x-durability-level')
  *                   - {boolean} isOperator => req.caller.account.isOperator
- * @param {funtion} callback => f(err, [sharkClient])
+ *                   - {string} selection => overrides the client's shark
+ *                     selection mode ('uniform', 'availableMB' or 'headroom')
+ *                   - {string} dcSelection => overrides the client's
+ *                     datacenter selection mode ('roundRobin', 'availableMB'
+ *                     or 'storageNodes')
+ *                   - {object} exclude => storage nodes and datacenters that
+ *                     must not be used for this object:
+ *                       - {string[]} manta_storage_ids
+ *                       - {string[]} datacenters
+ *                   - {object[]} existing => copies of the object that already
+ *                     exist, as {datacenter, manta_storage_id} objects.  In
+ *                     this case `replicas` is the number of additional copies
+ *                     to place.
+ *                   - {object} erasure => place an erasure coded object, with
+ *                     one storage node per shard rather than per replica:
+ *                       - {number} k => number of data shards
+ *                       - {number} m => number of parity shards
+ *                       - {number} maxShardsPerDc => optional, defaults to m
+ *                         (or k + m if the client isn't multiDC)
+ *                       - {number} overheadMB => optional space needed on
+ *                         each storage node in addition to 1/k of the object
+ *                   - {number|string} seed => seed for the random choices made
+ *                     for this object.  The same seed, topology and options
+ *                     always produce the same tuples.
+ *                   - {function} random => alternatively, a function
+ *                     returning random numbers in [0, 1) to use instead of
+ *                     the client's random source
+ *                   - {boolean} explain => include a report of how the
+ *                     decision was made in chooseStats.explain
+ *                   - {number} tuples => overrides the client's number of
+ *                     tuples to return
+ *                   - {number} minDatacenters => overrides the client's
+ *                     minimum number of datacenters each tuple must span
+ *                   - {number} maxPerDatacenter => overrides the client's
+ *                     maximum number of storage nodes of a tuple in any one
+ *                     datacenter
+ *                   - {string[]} requireTags => tags (see the tagsField
+ *                     option) which every storage node used must have
+ *                   - {string[]} preferTags => tags which the storage nodes
+ *                     used should have if possible
+ * @param {funtion} callback => f(err, [sharkClient], chooseStats)
+ *
+ * If no storage topology has been loaded yet, the callback is invoked with a
+ * NoTopologyError.  If the client was created with refuseStaleTopology and the
+ * topology is older than maxTopologyAgeMs, it's invoked with a
+ * StaleTopologyError.
+ *
+ * If the callback is omitted, a promise is returned instead, which resolves to
+ * an object with the `sharks` and `stats` (chooseStats) properties, or is
+ * rejected with the error.
+ *
+ * If opts.explain is set, chooseStats.explain is a report of how the decision
+ * was made, including for each datacenter how many storage nodes were left out
+ * by the utilization and size filters or by the request, and for each tuple
+ * how many retries it took and why it was rejected (if it was).  See the README
+ * for details.
+ *
+ * If the client was created with the `reservations` option, the size of the
+ * object is reserved on each storage node of the primary tuple until the next
+ * topology is loaded, and chooseStats.reservation describes the reservation,
+ * which may be passed to release() if the object isn't stored after all.
  *
  * Choose takes a desired number of replicas and a size (in bytes), and then
- * selects three random "tuples" (the number of items in a tuple is
- * #replicas).  The first random tuple is "primary," and then we have 2 backup
- * tuples.  The contract here is that upstack code tries all hosts in
- * "primary," and if all are up we're good to go; if any fail it falls through
- * to trying all hosts in "secondary." While not the most sophisticated and/or
- * error-proof approach, this is simple to reason about, and should be "good
- * enough," given what we know about our infrastructure (i.e., we expect it to
- * be up).
+ * selects three (or `tuples`) random "tuples" (the number of items in a tuple
+ * is #replicas).  The first random tuple is "primary," and then we have 2
+ * backup tuples.  Each tuple spans at least `minDatacenters` datacenters (by
+ * default two in a multi-DC deployment, counting any existing copies) and has
+ * at most `maxPerDatacenter` storage nodes in any one.  The contract here is
+ * that upstack code tries all hosts in "primary," and if all are up we're good
+ * to go; if any fail it falls through to trying all hosts in "secondary."
+ * While not the most sophisticated and/or error-proof approach, this is simple
+ * to reason about, and should be "good enough," given what we know about our
+ * infrastructure (i.e., we expect it to be up).
  *
  * So in terms of implementation, Storinfo periodically refreshes a (sorted) set
  * of servers per datacenter that is advertised in a moray bucket
@@ -446,205 +1897,546 @@ StorinfoClient.prototype.getStorageNodes = function getStorageNodes(args,
  *
  * Once we have that "view," we simply pick random nodes from the set(s).
  * Lastly, we RR across DCs so we spread objects around evenly.
+ *
+ * The above describes the default placement strategy.  The actual selection
+ * of tuples is delegated to the client's strategy (see lib/strategies.js),
+ * which may implement a different algorithm.
  */
 StorinfoClient.prototype.choose = function choose(opts, cb) {
+    if (cb === undefined) {
+        return (callbackPromise(this.choose.bind(this, opts), chooseResult));
+    }
+
+    return (chooseTuples.call(this, opts, true, cb));
+};
+
+/*
+ * Implements choose().  If `probe` is false, the half-open storage nodes in
+ * the primary tuple aren't counted as probed; chooseBatch() uses this for the
+ * tuples it may throw away, and counts those it returns itself.
+ */
+function chooseTuples(opts, probe, cb) {
     assert.object(opts, 'options');
     assert.optionalObject(opts.log, 'options.log');
     assert.optionalNumber(opts.replicas, 'options.replicas');
     assert.optionalNumber(opts.size, 'options.size');
     assert.optionalBool(opts.isOperator, 'options.isOperator');
+    assert.optionalString(opts.selection, 'options.selection');
+    assert.optionalString(opts.dcSelection, 'options.dcSelection');
+    assert.optionalObject(opts.exclude, 'options.exclude');
+    if (opts.exclude) {
+        assert.optionalArrayOfString(opts.exclude.manta_storage_ids,
+            'options.exclude.manta_storage_ids');
+        assert.optionalArrayOfString(opts.exclude.datacenters,
+            'options.exclude.datacenters');
+    }
+    assert.optionalArrayOfObject(opts.existing, 'options.existing');
+    if (opts.existing) {
+        opts.existing.forEach(function (s, i) {
+            assert.string(s.manta_storage_id,
+                'options.existing[' + i + '].manta_storage_id');
+            assert.string(s.datacenter,
+                'options.existing[' + i + '].datacenter');
+        });
+    }
+    assert.optionalObject(opts.erasure, 'options.erasure');
+    if (opts.erasure) {
+        assert.number(opts.erasure.k, 'options.erasure.k');
+        assert.number(opts.erasure.m, 'options.erasure.m');
+        assert.ok(opts.erasure.k >= 1, 'options.erasure.k must be >= 1');
+        assert.ok(opts.erasure.m >= 1, 'options.erasure.m must be >= 1');
+        assert.optionalNumber(opts.erasure.maxShardsPerDc,
+            'options.erasure.maxShardsPerDc');
+        assert.optionalNumber(opts.erasure.overheadMB,
+            'options.erasure.overheadMB');
+    }
+    assert.optionalFunc(opts.random, 'options.random');
+    assert.optionalBool(opts.explain, 'options.explain');
+    assert.optionalNumber(opts.tuples, 'options.tuples');
+    assert.optionalNumber(opts.minDatacenters, 'options.minDatacenters');
+    assert.optionalNumber(opts.maxPerDatacenter, 'options.maxPerDatacenter');
+    assert.optionalArrayOfString(opts.requireTags, 'options.requireTags');
+    assert.optionalArrayOfString(opts.preferTags, 'options.preferTags');
     assert.func(cb, 'callback');
 
     cb = once(cb);
 
-    var dcs = [];
     var log = this.log;
-    var offsets = [];
     var replicas = opts.replicas || DEF_NUM_COPIES;
-    var seen = [];
     var self = this;
     var size = Math.ceil((opts.size || 0) / 1048576) || this.defMaxSizeMB;
-    var err, cause;
+    var selection = opts.selection || this.selection;
+    var dcSelection = opts.dcSelection || this.dcSelection;
+    var exclude = opts.exclude || {};
+    var erasure = null;
+    var tuples = opts.tuples !== undefined ? opts.tuples : self.tuples;
+    var minDatacenters = opts.minDatacenters !== undefined ?
+        opts.minDatacenters : self.minDatacenters;
+    var maxPerDatacenter = opts.maxPerDatacenter !== undefined ?
+        opts.maxPerDatacenter : self.maxPerDatacenter;
+    var requireTags = opts.requireTags || [];
+    var preferTags = opts.preferTags || [];
+    var rng = self.random;
+    var seeded = false;
+
+    if (opts.random) {
+        rng = opts.random;
+        seeded = true;
+    } else if (opts.seed !== undefined) {
+        rng = mod_strategies.createRandom(opts.seed);
+        seeded = true;
+    }
+
+    /*
+     * An erasure coded object is split into k data shards and m parity shards,
+     * each of which is stored on a different storage node and needs room for
+     * 1/k of the object plus any per-shard overhead.  Unless told otherwise, we
+     * allow at most m shards in any one DC, so that the object survives the
+     * loss of a DC.
+     */
+    if (opts.erasure) {
+        erasure = {
+            k: opts.erasure.k,
+            m: opts.erasure.m,
+            maxShardsPerDc: opts.erasure.maxShardsPerDc,
+            overheadMB: opts.erasure.overheadMB || 0
+        };
+        if (erasure.maxShardsPerDc === undefined) {
+            erasure.maxShardsPerDc = this.multiDC ? erasure.m :
+                erasure.k + erasure.m;
+        }
+        replicas = erasure.k + erasure.m;
+        size = Math.ceil(size / erasure.k) + erasure.overheadMB;
+        maxPerDatacenter = Math.min(maxPerDatacenter, erasure.maxShardsPerDc);
+    }
+
+    /*
+     * Unless told otherwise, we require replicas to be spread across at least
+     * two DCs in a multi-DC deployment.  Erasure coded shards are spread by
+     * the limit on shards per DC instead.
+     */
+    if (minDatacenters === undefined) {
+        minDatacenters = self.multiDC && !erasure ? 2 : 1;
+    }
+
+    checkShape(tuples, minDatacenters, maxPerDatacenter, 'options.');
+
+    assert.ok(SELECTION_MODES.indexOf(selection) !== -1,
+        'options.selection must be one of: ' + SELECTION_MODES.join(', '));
+    assert.ok(DC_SELECTION_MODES.indexOf(dcSelection) !== -1,
+        'options.dcSelection must be one of: ' +
+        DC_SELECTION_MODES.join(', '));
 
     log.debug({
         replicas: replicas,
         size: size,
+        selection: selection,
+        dcSelection: dcSelection,
+        exclude: opts.exclude,
+        existing: opts.existing,
+        erasure: erasure,
+        tuples: tuples,
+        minDatacenters: minDatacenters,
+        maxPerDatacenter: maxPerDatacenter,
+        requireTags: requireTags,
+        preferTags: preferTags,
+        seed: opts.seed,
         defMaxSizeMB: this.defMaxSizeMB
     }, 'StorinfoClient.choose: entered');
 
     /*
-     * Determine the index of the first storage node for each DC that has space
-     * for an object of the requested size.  If no sharks in a given DC have
-     * enough space, we exclude them from the possible set of DCs to choose
-     * from.
+     * We can't place anything until the first poll has completed (or
+     * loadStorageNodes() has been called).  Callers who need to avoid this
+     * should wait for ready().
      */
-    function filterDatacenters(sharkMap, dc) {
-        var l = lower_bound(sharkMap[dc], size);
-        if (l !== -1) {
-            dcs.push(dc);
-            offsets.push(l);
-        }
+    if (self.datacenters === null) {
+        log.warn('StorinfoClient.choose: no storage topology loaded');
+        cb(new errors.NoTopologyError(), null, null);
+        return (undefined);
     }
 
-    var filterFun;
-
-    if (opts.isOperator) {
-        filterFun = filterDatacenters.bind(this, this.operatorDcSharkMap);
-        this.operatorDatacenters.forEach(filterFun);
-    } else {
-        filterFun = filterDatacenters.bind(this, this.dcSharkMap);
-        this.datacenters.forEach(filterFun);
+    checkTopologyAge.call(self);
+    if (self.refuseStaleTopology && self.topologyStale) {
+        log.warn('StorinfoClient.choose: storage topology is stale');
+        cb(new errors.StaleTopologyError(topologyAge.call(self),
+            self.maxTopologyAgeMs), null, null);
+        return (undefined);
     }
 
     var chooseStats = {
         db: opts.isOperator ? self.operatorDcSharkMap : self.dcSharkMap,
-        dcsInUse: dcs,
-        offsets: offsets
+        dcsInUse: [],
+        offsets: [],
+        dcWeights: null
     };
 
-    var enoughDCs = false;
-    if (dcs.length === 0) {
-        cause = sprintf('no DC with sufficient space');
-    } else if (replicas > 1 && this.multiDC && dcs.length < 2) {
-        cause = sprintf('%d copies requested, but only %d DC(s) have ' +
-            'sufficient space', replicas, dcs.length);
-    } else {
-        enoughDCs = true;
-    }
+    /*
+     * Operator requests may use sharks all the way up to the operator
+     * threshold, which has already been applied by the Storinfo service, so we
+     * measure their utilization against a full shark.
+     */
+    var topology = {
+        datacenters: opts.isOperator ? self.operatorDatacenters :
+            self.datacenters,
+        sharkMap: chooseStats.db,
+        multiDC: self.multiDC,
+        utilization: opts.isOperator ? 100 : self.utilization,
+        dcUtilization: {},
+        faultDomains: self.faultDomains
+    };
 
-    if (!enoughDCs) {
-        log.warn('StorinfoClient.choose: not enough DCs available');
-        assert.string(cause, 'no error message set');
+    topology.datacenters.forEach(function (dc) {
+        topology.dcUtilization[dc] = opts.isOperator ? 100 :
+            self.getMaxUtilizationPct(dc);
+    });
 
-        err = new errors.NotEnoughSpaceError(size, cause);
-        cb(err, null, chooseStats);
-        return;
-    }
+    var request = {
+        size: size,
+        replicas: replicas,
+        isOperator: !!opts.isOperator,
+        selection: selection,
+        dcSelection: dcSelection,
+        exclude: {
+            manta_storage_ids: exclude.manta_storage_ids || [],
+            datacenters: exclude.datacenters || []
+        },
+        existing: opts.existing || [],
+        tripped: self.health.unavailable(),
+        requireTags: requireTags,
+        untagged: [],
+        tuples: tuples,
+        minDatacenters: minDatacenters,
+        maxPerDatacenter: maxPerDatacenter,
+        erasure: erasure,
+        random: rng,
+        seeded: seeded,
+        log: log,
+        stats: chooseStats,
+        explain: null
+    };
 
-    dcs = shuffle(dcs);
+    if (opts.explain) {
+        request.explain = chooseStats.explain = {
+            strategy: self.strategy.name || null,
+            size: size,
+            replicas: replicas,
+            isOperator: request.isOperator,
+            selection: selection,
+            dcSelection: dcSelection,
+            multiDC: self.multiDC,
+            utilization: topology.utilization,
+            staleStorageNodes: Object.keys(self.staleNodes),
+            trippedStorageNodes: request.tripped,
+            requireTags: requireTags,
+            preferTags: preferTags,
+            datacenters: [],
+            tuples: [],
+            error: null
+        };
+    }
 
     /*
-     * Pick a random shark from the next DC in the round robin ordering.  If it
-     * hasn't yet been used for a set, return the shark.
-     *
-     * If the shark has been chosen for another set, iterate through all sharks
-     * in the DC until we find one that hasn't yet been seen.
-     *
-     * If there are no sharks that haven't yet been used in the DC, return null.
+     * Preferred tags are tried as though they were required, and if the object
+     * can't be placed on storage nodes with them, we try again with only the
+     * required tags.  Whether the preference was met is recorded in the stats.
      */
-    function host() {
-        if (++self.dcIndex >= dcs.length) {
-            self.dcIndex = 0;
+    var attempts = [ requireTags ];
+    if (preferTags.length > 0) {
+        attempts.unshift(requireTags.concat(preferTags.filter(function (t) {
+            return (requireTags.indexOf(t) === -1);
+        })));
+        chooseStats.preferTagsMet = false;
+    }
+
+    var sharks;
+    try {
+        sharks = selectTagged.call(self, topology, request, attempts);
+    } catch (e) {
+        if (!(e instanceof VError)) {
+            throw (e);
         }
 
-        var ndx = self.dcIndex;
-        var dc;
-        if (opts.isOperator) {
-            dc = self.operatorDcSharkMap[dcs[ndx]];
-        } else {
-            dc = self.dcSharkMap[dcs[ndx]];
+        if (request.explain) {
+            request.explain.error = e.message;
+            explainUtilization.call(self, request.explain);
         }
 
-        var s = random(offsets[ndx], dc.length - 1);
+        cb(e, null, chooseStats);
+        return (undefined);
+    }
 
-        if (seen.indexOf(dc[s].manta_storage_id) === -1) {
-            seen.push(dc[s].manta_storage_id);
-        } else {
-            var start = s;
-            do {
-                if (++s === dc.length) {
-                    s = offsets[ndx];
-                }
+    if (request.explain) {
+        explainUtilization.call(self, request.explain);
+    }
 
-                if (s === start) {
-                    log.debug({
-                        datacenter: dcs[ndx]
-                    }, 'StorinfoClient.choose: exhausted DC');
-                    return (null);
-                }
+    if (preferTags.length > 0) {
+        chooseStats.preferTagsMet = request.requireTags === attempts[0];
+    }
 
-            } while (seen.indexOf(dc[s].manta_storage_id) !== -1);
+    /*
+     * Only the primary tuple is written to, so a half-open storage node in a
+     * fallback tuple hasn't been probed and remains available.
+     */
+    if (probe && sharks.length > 0) {
+        recordProbes.call(self, sharks[0]);
+    }
 
-            seen.push(dc[s].manta_storage_id);
-        }
+    if (self.reserveSpace && sharks.length > 0) {
+        chooseStats.reservation = reserve.call(self, sharks[0], size);
+    }
 
-        return ({
-            datacenter: dc[s].datacenter,
-            manta_storage_id: dc[s].manta_storage_id
-        });
+    log.debug({
+        replicas: replicas,
+        sharks: sharks,
+        size: size,
+        reservation: chooseStats.reservation
+    }, 'StorinfoClient.choose: done');
+    cb(null, sharks, chooseStats);
+
+    return (undefined);
+}
+
+/*
+ * Chooses storage nodes for the `count` parts of an object, e.g. a multipart
+ * upload, in one go.  Each part is `size` bytes.  In "same" mode (the
+ * default), every part is placed on the same tuples, which must have room for
+ * all of the parts.  In "spread" mode, the parts are spread evenly, round
+ * robin, across as many disjoint tuples as can hold their share of the parts,
+ * and each part's fallback tuples are the tuples following its own.
+ *
+ * Unlike repeated calls to choose(), a batch doesn't advance the round robin
+ * over datacenters shared by other requests more than once.
+ *
+ * The callback is invoked with an error, an array of placements (one per part,
+ * each an array of tuples as returned by choose()) and an object describing
+ * the batch:
+ *
+ *   mode            the mode used
+ *   count           number of parts
+ *   partMB          size of each part (in MB)
+ *   totalMB         size of all of the parts (in MB)
+ *   groups          number of distinct primary tuples used
+ *   partsPerGroup   most parts placed on any one primary tuple
+ *   reservations    reservations made (if the client was created with the
+ *                   `reservations` option), each of which may be passed to
+ *                   release()
+ *
+ * The options `replicas`, `isOperator`, `selection`, `dcSelection`,
+ * `exclude`, `tuples`, `minDatacenters`, `maxPerDatacenter`, `requireTags`,
+ * `preferTags`, `seed`, `random` and `log` are as for choose(), and apply to
+ * every part.  Erasure coding, existing copies and explanations aren't
+ * supported.
+ *
+ * @param {object} opts
+ * @param {number} opts.count    - number of parts
+ * @param {number} opts.size     - size of each part (in bytes)
+ * @param {string} opts.mode     - optional; one of BATCH_MODES
+ * @param {function} cb          - optional callback.  If omitted, a promise
+ *                                 is returned instead.
+ * @throws {TypeError} on bad input.
+ */
+StorinfoClient.prototype.chooseBatch = function chooseBatch(opts, cb) {
+    if (cb === undefined) {
+        return (callbackPromise(this.chooseBatch.bind(this, opts),
+            chooseBatchResult));
     }
 
+    assert.object(opts, 'options');
+    assert.number(opts.count, 'options.count');
+    assert.ok(opts.count >= 1 && opts.count % 1 === 0,
+        'options.count must be a positive integer');
+    assert.number(opts.size, 'options.size');
+    assert.ok(opts.size > 0, 'options.size must be positive');
+    assert.optionalString(opts.mode, 'options.mode');
+    assert.ok(opts.mode === undefined || BATCH_MODES.indexOf(opts.mode) !== -1,
+        'options.mode must be one of: ' + BATCH_MODES.join(', '));
+    assert.ok(opts.erasure === undefined && opts.existing === undefined &&
+        !opts.explain, 'options.erasure, options.existing and ' +
+        'options.explain are not supported by chooseBatch');
+    assert.optionalNumber(opts.replicas, 'options.replicas');
+    assert.optionalObject(opts.exclude, 'options.exclude');
+    assert.optionalNumber(opts.tuples, 'options.tuples');
+    assert.func(cb, 'callback');
+
     /*
-     * Return a set with `replicas` sharks.
+     * In "spread" mode, the tuples are chosen one at a time, so choose() never
+     * sees the number requested.
      */
-    function set() {
-        var s = [];
+    if (opts.tuples !== undefined) {
+        checkShape(opts.tuples, undefined, Infinity, 'options.');
+    }
 
-        for (var j = 0; j < replicas; j++) {
-            var _s = host();
-            if (_s === null) {
-                return (null);
-            }
-            s.push(_s);
-        }
+    cb = once(cb);
 
-        return (s);
-    }
+    var self = this;
+    var log = opts.log || self.log;
+    var mode = opts.mode || BATCH_MODES[0];
+    var count = opts.count;
+    var replicas = opts.replicas || DEF_NUM_COPIES;
+    var partMB = Math.ceil(opts.size / 1048576);
+    var totalMB = partMB * count;
+    var exclude = opts.exclude || {};
+    var chooseOpts = {
+        replicas: replicas,
+        isOperator: opts.isOperator,
+        selection: opts.selection,
+        dcSelection: opts.dcSelection,
+        exclude: opts.exclude,
+        tuples: opts.tuples,
+        minDatacenters: opts.minDatacenters,
+        maxPerDatacenter: opts.maxPerDatacenter,
+        requireTags: opts.requireTags,
+        preferTags: opts.preferTags,
+        log: opts.log
+    };
+    var stats = {
+        mode: mode,
+        count: count,
+        partMB: partMB,
+        totalMB: totalMB,
+        groups: 0,
+        partsPerGroup: 0,
+        reservations: []
+    };
+    var result;
 
-    function mapFun(s) {
-        return (s.datacenter);
+    if (self.datacenters === null) {
+        log.warn('StorinfoClient.chooseBatch: no storage topology loaded');
+        cb(new errors.NoTopologyError(), null, null);
+        return (undefined);
     }
 
-    function reduceFun(last, now) {
-        if (last.indexOf(now) === -1) {
-            last.push(now);
+    if (mode === 'same') {
+        result = chooseNow.call(self, Object.assign({}, chooseOpts, {
+            size: totalMB * 1048576,
+            seed: opts.seed,
+            random: opts.random
+        }), true);
+        if (result.err) {
+            cb(result.err, null, stats);
+            return (undefined);
+        }
+
+        stats.groups = 1;
+        stats.partsPerGroup = count;
+        if (result.stats.reservation) {
+            stats.reservations.push(result.stats.reservation);
+        }
+
+        /*
+         * Each part gets its own copy of the tuples, so that callers can
+         * modify one part's placement without affecting the others.
+         */
+        var same = [];
+        for (var i = 0; i < count; i++) {
+            same.push(result.sharks.map(copyTuple));
         }
-        return (last);
+
+        log.debug(stats, 'StorinfoClient.chooseBatch: done');
+        cb(null, same, stats);
+        return (undefined);
     }
 
     /*
-     * We always pick three sets, and we pedantically ensure that we've got
-     * them splayed x-dc
+     * Spread the parts across as many disjoint tuples as the storage nodes
+     * allow.  The fewer tuples we find, the more parts each must hold, so
+     * if we find fewer than we were looking for, we look again for that many,
+     * with room for their larger share of the parts, until we find as many as
+     * we look for.
+     *
+     * Every tuple is chosen with the same random source, which isn't shared
+     * with other requests, so that the batch doesn't advance the round robin
+     * over datacenters for each tuple.
      */
-    var sharks = [];
-    for (var i = 0; i < 3; i++) {
-        var tuple = set();
+    chooseOpts.random = opts.random;
+    if (chooseOpts.random === undefined) {
+        chooseOpts.random = mod_strategies.createRandom(
+            opts.seed !== undefined ? opts.seed : String(self.random()));
+    }
 
-        if (!sharks.length && (!tuple || tuple.length < replicas)) {
-            cause = 'copies requested exceeds number of available ' +
-                'storage nodes';
-            err = new errors.NotEnoughSpaceError(size, cause);
-            cb(err, null, chooseStats);
+    /*
+     * The storage nodes which haven't been excluded by the request are an
+     * upper bound on those choose() can use (some may be tripped, for
+     * example), so this is as many tuples as we could possibly find.
+     */
+    var db = opts.isOperator ? self.operatorDcSharkMap : self.dcSharkMap;
+    var nodes = 0;
+    Object.keys(db).forEach(function (dc) {
+        if ((exclude.datacenters || []).indexOf(dc) !== -1) {
             return;
-        } else if (tuple && this.multiDC && replicas > 1) {
-            var _dcs = tuple.map(mapFun).reduce(reduceFun, []);
+        }
 
-            if (_dcs.length < 2) {
-                cause = 'insufficient number of DCs selected';
-                err = new errors.NotEnoughSpaceError(size, cause);
-                cb(err, null, chooseStats);
-                return;
+        db[dc].forEach(function (s) {
+            var ids = exclude.manta_storage_ids || [];
+            if (ids.indexOf(s.manta_storage_id) === -1) {
+                nodes++;
             }
+        });
+    });
+
+    var target = Math.min(count, Math.max(1, Math.floor(nodes / replicas)));
+    var groups;
+    for (;;) {
+        var perGroup = Math.ceil(count / target);
+
+        result = chooseDisjoint.call(self, chooseOpts, perGroup * partMB,
+            target);
+        groups = result.tuples;
+
+        if (groups.length === 0) {
+            cb(result.err, null, stats);
+            return (undefined);
         }
 
-        if (tuple) {
-            sharks.push(tuple);
+        if (groups.length === target) {
+            break;
         }
+        target = groups.length;
     }
 
-    log.debug({
-        replicas: replicas,
-        sharks: sharks,
-        size: size
-    }, 'StorinfoClient.choose: done');
-    cb(null, sharks, chooseStats);
-};
+    stats.groups = groups.length;
+    stats.partsPerGroup = Math.ceil(count / groups.length);
+
+    /*
+     * Every group is the primary tuple of at least one part.
+     */
+    groups.forEach(function (g) {
+        recordProbes.call(self, g);
+    });
+
+    var tuples = opts.tuples !== undefined ? opts.tuples : self.tuples;
+    tuples = Math.min(tuples, groups.length);
+    var spread = [];
+    for (var part = 0; part < count; part++) {
+        var placement = [];
+        for (var t = 0; t < tuples; t++) {
+            placement.push(copyTuple(groups[(part + t) % groups.length]));
+        }
+        spread.push(placement);
+    }
+
+    if (self.reserveSpace) {
+        stats.reservations = groups.map(function (g, n) {
+            var parts = Math.floor((count - 1 - n) / groups.length) + 1;
+            return (reserve.call(self, g, parts * partMB));
+        });
+    }
 
+    log.debug(stats, 'StorinfoClient.chooseBatch: done');
+    cb(null, spread, stats);
+
+    return (undefined);
+};
 
 module.exports = {
     StorinfoClient: StorinfoClient,
     createClient: function (opts) {
         return (new StorinfoClient(opts));
     },
+    registerStrategy: mod_strategies.registerStrategy,
+    /*
+     * Deprecated: use StorinfoClient.loadStorageNodes() instead, which also
+     * applies the utilization thresholds.
+     */
     sortAndStoreDcs: sortAndStoreDcs
 };
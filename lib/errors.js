@@ -9,7 +9,10 @@
  */
 
 module.exports = {
+    AbortError: AbortError,
+    NoTopologyError: NoTopologyError,
     NotEnoughSpaceError: NotEnoughSpaceError,
+    StaleTopologyError: StaleTopologyError,
     StandaloneModeError: StandaloneModeError
 };
 
@@ -35,3 +38,36 @@ function StandaloneModeError() {
 }
 mod_util.inherits(StandaloneModeError, VError);
 StandaloneModeError.prototype.name = 'StandaloneModeError';
+
+function NoTopologyError(timeout) {
+    var opts = {};
+    opts.constructorOpt = NoTopologyError;
+    this.timeout = timeout;
+    if (timeout === undefined) {
+        VError.call(this, opts, 'no storage topology has been loaded');
+    } else {
+        VError.call(this, opts, 'no storage topology was loaded within %d ms',
+            timeout);
+    }
+}
+mod_util.inherits(NoTopologyError, VError);
+NoTopologyError.prototype.name = 'NoTopologyError';
+
+function StaleTopologyError(age, maxAge) {
+    var opts = {};
+    opts.constructorOpt = StaleTopologyError;
+    this.age = age;
+    this.maxAge = maxAge;
+    VError.call(this, opts, 'storage topology is %d ms old (maximum: %d ms)',
+        age, maxAge);
+}
+mod_util.inherits(StaleTopologyError, VError);
+StaleTopologyError.prototype.name = 'StaleTopologyError';
+
+function AbortError() {
+    var opts = {};
+    opts.constructorOpt = AbortError;
+    VError.call(this, opts, 'the operation was aborted');
+}
+mod_util.inherits(AbortError, VError);
+AbortError.prototype.name = 'AbortError';
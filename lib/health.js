@@ -0,0 +1,297 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+/*
+ * Tracking the health of storage nodes as seen by their consumers.
+ *
+ * The Storinfo service only knows whether a storage node is reporting its
+ * utilization, so a storage node which is up but failing (or timing out) every
+ * upload keeps being chosen.  Consumers can instead report the outcome of each
+ * upload attempt, from which we keep an exponentially decaying error rate and
+ * mean latency per storage node.  Each storage node has a circuit breaker in
+ * one of three states:
+ *
+ *   closed     the storage node is used as normal
+ *   open       the storage node has tripped, because its error rate or latency
+ *              exceeded the configured limits, and isn't used
+ *   half-open  openMs have passed since the storage node tripped, and it may
+ *              be used for a single probe.  If the probe succeeds the breaker
+ *              closes, and if it fails the breaker opens again.  If no result
+ *              is reported for the probe within openMs, another probe is
+ *              allowed.
+ *
+ * Scores decay with a half life of halfLifeMs, so old results matter less and
+ * less, and a storage node must have at least minSamples (decayed) results
+ * before it can trip.
+ */
+
+const assert = require('assert-plus');
+
+const DEF_HALF_LIFE_MS = 60000;
+const DEF_MIN_SAMPLES = 5;
+const DEF_MAX_ERROR_RATE = 0.5;
+const DEF_OPEN_MS = 30000;
+
+const STATE_CLOSED = 'closed';
+const STATE_OPEN = 'open';
+const STATE_HALF_OPEN = 'half-open';
+
+/*
+ * Creates a tracker.
+ *
+ * @param {object} opts
+ * @param {number} opts.halfLifeMs   - optional half life of the scores
+ * @param {number} opts.minSamples   - optional number of results needed before
+ *                                     a storage node can trip
+ * @param {number} opts.maxErrorRate - optional error rate (between 0 and 1) at
+ *                                     which a storage node trips
+ * @param {number} opts.maxLatencyMs - optional mean latency at which a storage
+ *                                     node trips.  By default, latency alone
+ *                                     never trips a storage node.
+ * @param {number} opts.openMs       - optional time a tripped storage node is
+ *                                     left out before it's probed
+ * @throws {TypeError} on bad input.
+ */
+function NodeHealthTracker(opts) {
+    assert.object(opts, 'opts');
+    assert.optionalNumber(opts.halfLifeMs, 'opts.halfLifeMs');
+    assert.optionalNumber(opts.minSamples, 'opts.minSamples');
+    assert.optionalNumber(opts.maxErrorRate, 'opts.maxErrorRate');
+    assert.optionalNumber(opts.maxLatencyMs, 'opts.maxLatencyMs');
+    assert.optionalNumber(opts.openMs, 'opts.openMs');
+
+    this.halfLifeMs = opts.halfLifeMs || DEF_HALF_LIFE_MS;
+    this.minSamples = opts.minSamples || DEF_MIN_SAMPLES;
+    this.maxErrorRate = opts.maxErrorRate || DEF_MAX_ERROR_RATE;
+    this.maxLatencyMs = opts.maxLatencyMs;
+    this.openMs = opts.openMs || DEF_OPEN_MS;
+
+    assert.ok(this.maxErrorRate > 0 && this.maxErrorRate <= 1,
+        'opts.maxErrorRate must be between 0 and 1');
+
+    /*
+     * Maps manta_storage_id to the node's scores and breaker state.
+     */
+    this.nodes = {};
+}
+
+/*
+ * Returns the entry for the given storage node, with its scores decayed to
+ * `now`.
+ */
+function decayedEntry(id, now) {
+    var node = this.nodes[id];
+
+    if (node === undefined) {
+        node = this.nodes[id] = {
+            samples: 0,
+            errors: 0,
+            latencySamples: 0,
+            latencySum: 0,
+            updated: now,
+            state: STATE_CLOSED,
+            trippedAt: null,
+            probeAt: null
+        };
+    }
+
+    var factor = Math.pow(0.5, (now - node.updated) / this.halfLifeMs);
+    node.samples *= factor;
+    node.errors *= factor;
+    node.latencySamples *= factor;
+    node.latencySum *= factor;
+    node.updated = now;
+
+    return (node);
+}
+
+/*
+ * Moves an open breaker to half-open once openMs have passed.
+ */
+function checkOpen(node, now) {
+    if (node.state === STATE_OPEN && now - node.trippedAt >= this.openMs) {
+        node.state = STATE_HALF_OPEN;
+        node.probeAt = null;
+    }
+}
+
+/*
+ * Records the outcome of an attempt to use a storage node.  Returns the new
+ * state of the node's breaker if it changed, or null.
+ *
+ * @param {string} id          - manta_storage_id
+ * @param {object} result
+ * @param {boolean} result.ok  - whether the attempt succeeded
+ * @param {number} result.latencyMs - optional duration of the attempt
+ * @param {number} now         - optional current time (default: Date.now())
+ * @throws {TypeError} on bad input.
+ */
+NodeHealthTracker.prototype.report = function report(id, result, now) {
+    assert.string(id, 'id');
+    assert.object(result, 'result');
+    assert.bool(result.ok, 'result.ok');
+    assert.optionalNumber(result.latencyMs, 'result.latencyMs');
+    assert.optionalNumber(now, 'now');
+
+    now = now === undefined ? Date.now() : now;
+
+    var node = decayedEntry.call(this, id, now);
+
+    /*
+     * An open breaker whose openMs have passed is half-open, even if nothing
+     * has checked since, and a failed probe reopens it.
+     */
+    checkOpen.call(this, node, now);
+
+    var previous = node.state;
+
+    node.samples++;
+    if (!result.ok) {
+        node.errors++;
+    }
+    if (result.latencyMs !== undefined) {
+        node.latencySamples++;
+        node.latencySum += result.latencyMs;
+    }
+
+    if (node.state === STATE_HALF_OPEN) {
+        if (result.ok) {
+            node.state = STATE_CLOSED;
+            node.samples = node.errors = 0;
+            node.latencySamples = node.latencySum = 0;
+            node.trippedAt = null;
+        } else {
+            node.state = STATE_OPEN;
+            node.trippedAt = now;
+        }
+        node.probeAt = null;
+    } else if (node.state === STATE_CLOSED &&
+        node.samples >= this.minSamples) {
+        var latency = node.latencySamples > 0 ?
+            node.latencySum / node.latencySamples : 0;
+
+        if (node.errors / node.samples >= this.maxErrorRate ||
+            (this.maxLatencyMs !== undefined &&
+            node.latencySamples > 0 && latency >= this.maxLatencyMs)) {
+            node.state = STATE_OPEN;
+            node.trippedAt = now;
+        }
+    }
+
+    return (node.state === previous ? null : node.state);
+};
+
+/*
+ * Returns the manta_storage_ids of the storage nodes which must not be chosen
+ * at the moment: those whose breaker is open, and those whose breaker is
+ * half-open with a probe outstanding.
+ *
+ * @param {number} now - optional current time (default: Date.now())
+ */
+NodeHealthTracker.prototype.unavailable = function unavailable(now) {
+    var self = this;
+
+    now = now === undefined ? Date.now() : now;
+
+    return (Object.keys(self.nodes).filter(function (id) {
+        var node = self.nodes[id];
+
+        checkOpen.call(self, node, now);
+
+        return (node.state === STATE_OPEN ||
+            (node.state === STATE_HALF_OPEN && node.probeAt !== null &&
+            now - node.probeAt < self.openMs));
+    }));
+};
+
+/*
+ * Records that the given storage node has been chosen.  If its breaker is
+ * half-open, this is its probe, and it won't be chosen again until the result
+ * has been reported (or openMs have passed).
+ *
+ * @param {string} id  - manta_storage_id
+ * @param {number} now - optional current time (default: Date.now())
+ */
+NodeHealthTracker.prototype.chosen = function chosen(id, now) {
+    assert.string(id, 'id');
+
+    var node = this.nodes[id];
+
+    if (node !== undefined && node.state === STATE_HALF_OPEN) {
+        node.probeAt = now === undefined ? Date.now() : now;
+    }
+};
+
+/*
+ * Returns an object describing the health of the given storage node:
+ *
+ *   manta_storage_id
+ *   state        'closed', 'open' or 'half-open'
+ *   samples      decayed number of results
+ *   errorRate    decayed error rate, between 0 and 1 (0 with no results)
+ *   latencyMs    decayed mean latency, or null if none has been reported
+ *   trippedAt    Date the breaker last opened, or null if it's closed
+ *
+ * Storage nodes for which nothing has been reported are healthy.
+ *
+ * @param {string} id  - manta_storage_id
+ * @param {number} now - optional current time (default: Date.now())
+ */
+NodeHealthTracker.prototype.get = function get(id, now) {
+    assert.string(id, 'id');
+
+    now = now === undefined ? Date.now() : now;
+
+    var node = this.nodes[id];
+    if (node === undefined) {
+        return ({
+            manta_storage_id: id,
+            state: STATE_CLOSED,
+            samples: 0,
+            errorRate: 0,
+            latencyMs: null,
+            trippedAt: null
+        });
+    }
+
+    node = decayedEntry.call(this, id, now);
+    checkOpen.call(this, node, now);
+
+    return ({
+        manta_storage_id: id,
+        state: node.state,
+        samples: node.samples,
+        errorRate: node.samples > 0 ? node.errors / node.samples : 0,
+        latencyMs: node.latencySamples > 0 ?
+            node.latencySum / node.latencySamples : null,
+        trippedAt: node.trippedAt === null ? null : new Date(node.trippedAt)
+    });
+};
+
+/*
+ * Returns the health of every storage node for which results have been
+ * reported, as described for get().
+ *
+ * @param {number} now - optional current time (default: Date.now())
+ */
+NodeHealthTracker.prototype.list = function list(now) {
+    var self = this;
+
+    return (Object.keys(self.nodes).sort().map(function (id) {
+        return (self.get(id, now));
+    }));
+};
+
+module.exports = {
+    NodeHealthTracker: NodeHealthTracker,
+    STATE_CLOSED: STATE_CLOSED,
+    STATE_OPEN: STATE_OPEN,
+    STATE_HALF_OPEN: STATE_HALF_OPEN
+};
@@ -0,0 +1,306 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+/*
+ * Paging through the Storinfo service's /storagenodes endpoint.
+ *
+ * /storagenodes returns storage records sorted by manta_storage_id, a page at
+ * a time.  If there are more records, the response has a `Link` header
+ * (RFC 8288) with a "next" relation pointing at the next page, e.g.:
+ *
+ *   </storagenodes?after_id=3.stor.us-east.joyent.us&limit=2>; rel="next"
+ *
+ * StorageNodeStream is an object mode Readable stream which follows these
+ * links, fetching each page only once the previous one has been consumed.
+ * Like any Readable stream, it can be consumed with `for await`.  A link back
+ * to a page that has already been fetched is treated as an error, rather than
+ * followed forever.
+ */
+
+const stream = require('stream');
+const url = require('url');
+const util = require('util');
+
+const assert = require('assert-plus');
+const errors = require('./errors.js');
+const VError = require('verror').VError;
+
+/*
+ * Splits `str` on `sep`, ignoring separators within quoted strings and within
+ * angle brackets (i.e. link targets).
+ */
+function splitUnquoted(str, sep) {
+    var parts = [];
+    var part = '';
+    var quoted = false;
+    var target = false;
+
+    for (var i = 0; i < str.length; i++) {
+        var c = str[i];
+
+        if (quoted && c === '\\' && i + 1 < str.length) {
+            part += c + str[++i];
+            continue;
+        }
+
+        if (c === '"' && !target) {
+            quoted = !quoted;
+        } else if (c === '<' && !quoted) {
+            target = true;
+        } else if (c === '>' && !quoted) {
+            target = false;
+        } else if (c === sep && !quoted && !target) {
+            parts.push(part);
+            part = '';
+            continue;
+        }
+        part += c;
+    }
+    parts.push(part);
+
+    return (parts);
+}
+
+/*
+ * Parses the value of a `Link` header, as described in RFC 8288, section 3.
+ * Returns an array of objects, one per link, with the link's `uri` and its
+ * `params`, an object mapping (lower-cased) parameter names to values.  The
+ * "rel" parameter is also available as `rels`, an array of lower-cased link
+ * relation types.  Malformed links are skipped.
+ *
+ * @param {string} header - the value of a Link header
+ * @returns {object[]} the links
+ * @throws {TypeError} on bad input.
+ */
+function parseLinkHeader(header) {
+    assert.string(header, 'header');
+
+    var links = [];
+
+    splitUnquoted(header, ',').forEach(function (value) {
+        var parts = splitUnquoted(value, ';');
+        var target = parts.shift().trim();
+
+        if (target[0] !== '<' || target[target.length - 1] !== '>') {
+            return;
+        }
+
+        var link = {
+            uri: target.slice(1, -1).trim(),
+            params: {},
+            rels: []
+        };
+
+        parts.forEach(function (param) {
+            var eq = param.indexOf('=');
+            var name, pval;
+
+            if (eq === -1) {
+                name = param.trim().toLowerCase();
+                pval = '';
+            } else {
+                name = param.slice(0, eq).trim().toLowerCase();
+                pval = param.slice(eq + 1).trim();
+                if (pval[0] === '"' && pval[pval.length - 1] === '"' &&
+                    pval.length >= 2) {
+                    pval = pval.slice(1, -1).replace(/\\(.)/g, '$1');
+                }
+            }
+
+            /*
+             * Per the RFC, only the first occurrence of a parameter counts.
+             */
+            if (name !== '' && !link.params.hasOwnProperty(name)) {
+                link.params[name] = pval;
+            }
+        });
+
+        if (link.params.rel !== undefined) {
+            link.rels = link.params.rel.toLowerCase().split(/\s+/);
+            link.rels = link.rels.filter(function (rel) {
+                return (rel !== '');
+            });
+        }
+
+        links.push(link);
+    });
+
+    return (links);
+}
+
+/*
+ * Returns the query parameters for the next page of /storagenodes given the
+ * Link header of a response, or null if there is no next page.
+ */
+function nextPageQuery(header) {
+    var next = parseLinkHeader(header).filter(function (link) {
+        return (link.rels.indexOf('next') !== -1);
+    })[0];
+
+    if (next === undefined) {
+        return (null);
+    }
+
+    var query = url.parse(next.uri, true).query;
+    if (typeof (query.after_id) !== 'string') {
+        return (null);
+    }
+
+    return (query);
+}
+
+/*
+ * An object mode Readable stream of storage records, or of pages of storage
+ * records if `opts.pages` is set.
+ *
+ * @param {object} http            - restify JSON client for the Storinfo
+ *                                   service
+ * @param {object} opts
+ * @param {string} opts.after_id   - optional manta_storage_id to start after
+ * @param {number} opts.limit      - optional page size
+ * @param {boolean} opts.pages     - optional; emit each page as an array
+ *                                   rather than individual records
+ * @param {object} opts.signal     - optional AbortSignal for stopping the
+ *                                   stream, which then emits an AbortError
+ * @param {object} opts.log        - bunyan logger
+ * @throws {TypeError} on bad input.
+ */
+function StorageNodeStream(http, opts) {
+    assert.object(http, 'http');
+    assert.object(opts, 'opts');
+    assert.optionalString(opts.after_id, 'opts.after_id');
+    assert.optionalFinite(opts.limit, 'opts.limit');
+    assert.optionalBool(opts.pages, 'opts.pages');
+    assert.optionalObject(opts.signal, 'opts.signal');
+    assert.object(opts.log, 'opts.log');
+
+    stream.Readable.call(this, { objectMode: true });
+
+    var self = this;
+
+    self.http = http;
+    self.log = opts.log;
+    self.pages = !!opts.pages;
+    self.signal = opts.signal;
+    self.query = {};
+    self.fetching = false;
+    self.pageCount = 0;
+    /*
+     * The after_id of each page fetched so far, mapped to true.
+     */
+    self.visited = {};
+
+    if (opts.after_id !== undefined) {
+        self.query.after_id = opts.after_id;
+    }
+    if (opts.limit !== undefined) {
+        self.query.limit = opts.limit;
+    }
+
+    if (self.signal) {
+        self.onAbort = function onAbort() {
+            self.destroy(new errors.AbortError());
+        };
+
+        if (self.signal.aborted) {
+            setImmediate(self.onAbort);
+        } else {
+            self.signal.addEventListener('abort', self.onAbort);
+        }
+    }
+}
+util.inherits(StorageNodeStream, stream.Readable);
+
+StorageNodeStream.prototype._read = function _read() {
+    var self = this;
+
+    if (self.fetching || self.destroyed) {
+        return;
+    }
+
+    self.fetching = true;
+    if (self.query.after_id !== undefined) {
+        self.visited[self.query.after_id] = true;
+    }
+    var httpOpts = {
+        path: '/storagenodes',
+        query: self.query
+    };
+
+    self.http.get(httpOpts, function (err, req, res, obj) {
+        self.fetching = false;
+
+        if (self.destroyed) {
+            return;
+        }
+
+        if (err) {
+            self.destroy(err);
+            return;
+        }
+
+        if (!Array.isArray(obj)) {
+            self.destroy(new VError('unexpected response from /storagenodes ' +
+                '(page %d): expected an array', self.pageCount + 1));
+            return;
+        }
+
+        self.pageCount++;
+
+        var next = null;
+        if (res.headers.link !== undefined) {
+            next = nextPageQuery(res.headers.link);
+        }
+
+        self.log.trace({
+            page: self.pageCount,
+            records: obj.length,
+            next: next
+        }, 'StorageNodeStream: page received');
+
+        if (next !== null) {
+            if (self.visited[next.after_id]) {
+                self.destroy(new VError('/storagenodes links back to a ' +
+                    'page already fetched (after_id "%s")', next.after_id));
+                return;
+            }
+            self.query = next;
+        }
+
+        var more;
+        if (self.pages) {
+            more = self.push(obj);
+        } else {
+            more = true;
+            obj.forEach(function (record) {
+                more = self.push(record);
+            });
+        }
+
+        if (next === null) {
+            self.push(null);
+        } else if (more) {
+            self._read();
+        }
+    });
+};
+
+StorageNodeStream.prototype._destroy = function _destroy(err, callback) {
+    if (this.signal) {
+        this.signal.removeEventListener('abort', this.onAbort);
+    }
+
+    callback(err);
+};
+
+module.exports = {
+    StorageNodeStream: StorageNodeStream,
+    parseLinkHeader: parseLinkHeader
+};
@@ -0,0 +1,365 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+/*
+ * A mock Storinfo service, for development and testing.
+ *
+ * This serves the same `/storagenodes` and `/storagenodes/:id` endpoints as the
+ * real Storinfo service from a fixed set of storage records, so that a
+ * StorinfoClient can be exercised end-to-end without a Manta deployment.
+ * `/storagenodes` supports the `after_id` and `limit` query parameters, and
+ * when there are more records than fit in a page, it returns a `Link` header
+ * pointing at the next page:
+ *
+ *   </storagenodes?after_id=<manta_storage_id>&limit=<limit>>; rel="next"
+ *
+ * Failures and latency can be injected, either when the server is created or
+ * later with the `inject()` method:
+ *
+ *   latencyMs    delay (in milliseconds) before each response
+ *   errorRate    probability, between 0 and 1, that a request fails
+ *   failures     number of upcoming requests which fail
+ *   statusCode   HTTP status code of failed requests (default: 503)
+ */
+
+const fs = require('fs');
+const http = require('http');
+const querystring = require('querystring');
+const url = require('url');
+
+const assert = require('assert-plus');
+const bunyan = require('bunyan');
+
+const DEF_FAILURE_STATUS = 503;
+
+/*
+ * Returns the given storage records as an array sorted by manta_storage_id.
+ * As with StorinfoClient.loadStorageNodes(), the records may be an array or
+ * an object mapping datacenter names to arrays of records, in which case a
+ * record's `datacenter` defaults to the datacenter it's listed under.
+ */
+function normalizeRecords(records) {
+    var flat = [];
+
+    if (Array.isArray(records)) {
+        flat = records.slice();
+    } else {
+        assert.object(records, 'records');
+        Object.keys(records).forEach(function (dc) {
+            assert.arrayOfObject(records[dc], 'records.' + dc);
+            records[dc].forEach(function (r) {
+                if (r.datacenter === undefined) {
+                    r = Object.assign({ datacenter: dc }, r);
+                }
+                flat.push(r);
+            });
+        });
+    }
+
+    flat.forEach(function (r) {
+        assert.string(r.manta_storage_id, 'record.manta_storage_id');
+    });
+
+    return (flat.sort(function (a, b) {
+        if (a.manta_storage_id < b.manta_storage_id) {
+            return (-1);
+        } else if (a.manta_storage_id > b.manta_storage_id) {
+            return (1);
+        }
+        return (0);
+    }));
+}
+
+function sendJson(res, statusCode, body, headers) {
+    var data = JSON.stringify(body);
+
+    res.writeHead(statusCode, Object.assign({
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(data)
+    }, headers));
+    res.end(data);
+}
+
+function sendError(res, statusCode, code, message) {
+    sendJson(res, statusCode, { code: code, message: message });
+}
+
+/*
+ * Serves a page of /storagenodes.
+ */
+function listStorageNodes(req, res, query) {
+    var limit;
+    var records = this.records;
+
+    if (query.limit !== undefined) {
+        limit = parseInt(query.limit, 10);
+        if (isNaN(limit) || limit <= 0 || String(limit) !== query.limit) {
+            sendError(res, 400, 'InvalidArgument',
+                'limit must be a positive integer');
+            return;
+        }
+    } else {
+        limit = this.pageSize;
+    }
+
+    if (query.after_id !== undefined) {
+        records = records.filter(function (r) {
+            return (r.manta_storage_id > query.after_id);
+        });
+    }
+
+    var headers = {};
+    var page = records;
+    if (limit !== undefined && records.length > limit) {
+        page = records.slice(0, limit);
+        headers['Link'] = '</storagenodes?' + querystring.stringify({
+            after_id: page[page.length - 1].manta_storage_id,
+            limit: limit
+        }) + '>; rel="next"';
+    }
+
+    sendJson(res, 200, page, headers);
+}
+
+/*
+ * Serves /storagenodes/:id.
+ */
+function getStorageNode(req, res, storageid) {
+    var record = this.records.filter(function (r) {
+        return (r.manta_storage_id === storageid);
+    })[0];
+
+    if (record === undefined) {
+        sendError(res, 404, 'ResourceNotFound',
+            'storage node "' + storageid + '" not found');
+        return;
+    }
+
+    sendJson(res, 200, record);
+}
+
+/*
+ * Returns true if the current request should fail, either because it's one
+ * of the `failures` requested with inject() or at random, per `errorRate`.
+ */
+function shouldFail() {
+    if (this.failures > 0) {
+        this.failures--;
+        return (true);
+    }
+
+    return (this.errorRate > 0 && this.random() < this.errorRate);
+}
+
+function handleRequest(req, res) {
+    var self = this;
+    var parsed = url.parse(req.url, true);
+    var fail = shouldFail.call(self);
+
+    self.requests++;
+    self.log.debug({
+        method: req.method,
+        url: req.url,
+        fail: fail
+    }, 'handleRequest: request received');
+
+    function respond() {
+        if (fail) {
+            sendError(res, self.statusCode, 'ServiceUnavailable',
+                'injected failure');
+            return;
+        }
+
+        if (req.method !== 'GET') {
+            sendError(res, 405, 'BadMethod',
+                req.method + ' is not allowed');
+            return;
+        }
+
+        var parts = parsed.pathname.split('/').filter(function (p) {
+            return (p !== '');
+        });
+
+        if (parts[0] !== 'storagenodes' || parts.length > 2) {
+            sendError(res, 404, 'ResourceNotFound',
+                parsed.pathname + ' does not exist');
+        } else if (parts.length === 1) {
+            listStorageNodes.call(self, req, res, parsed.query);
+        } else {
+            getStorageNode.call(self, req, res,
+                decodeURIComponent(parts[1]));
+        }
+    }
+
+    if (self.latencyMs > 0) {
+        setTimeout(respond, self.latencyMs);
+    } else {
+        respond();
+    }
+}
+
+/*
+ * Creates a mock Storinfo server.
+ *
+ * @param {object} opts
+ * @param {object} opts.log          - optional bunyan logger
+ * @param {object[]|object} opts.records - storage records to serve
+ * @param {string} opts.recordsFile  - a JSON file containing the storage
+ *                                     records to serve, instead of `records`
+ * @param {number} opts.pageSize     - optional maximum number of records
+ *                                     returned by /storagenodes when the client
+ *                                     doesn't specify a limit
+ * @param {number} opts.latencyMs    - see inject()
+ * @param {number} opts.errorRate    - see inject()
+ * @param {number} opts.failures     - see inject()
+ * @param {number} opts.statusCode   - see inject()
+ * @param {function} opts.random     - optional source of randomness for
+ *                                     errorRate (default: Math.random)
+ * @throws {TypeError} on bad input.
+ */
+function MockStorinfoServer(opts) {
+    assert.object(opts, 'opts');
+    assert.optionalObject(opts.log, 'log');
+    assert.optionalString(opts.recordsFile, 'recordsFile');
+    assert.optionalNumber(opts.pageSize, 'pageSize');
+    assert.optionalFunc(opts.random, 'random');
+
+    var self = this;
+
+    self.log = opts.log || bunyan.createLogger({ name: 'storinfo-mock' });
+    self.random = opts.random || Math.random;
+    self.pageSize = opts.pageSize;
+    self.requests = 0;
+    self.latencyMs = 0;
+    self.errorRate = 0;
+    self.failures = 0;
+    self.statusCode = DEF_FAILURE_STATUS;
+
+    if (opts.recordsFile !== undefined) {
+        self.setRecords(JSON.parse(fs.readFileSync(opts.recordsFile, 'utf8')));
+    } else {
+        self.setRecords(opts.records);
+    }
+
+    self.inject(opts);
+
+    self.server = http.createServer(handleRequest.bind(self));
+}
+
+/*
+ * Replaces the storage records served.
+ *
+ * @param {object[]|object} records - storage records
+ * @throws {TypeError} on bad input.
+ */
+MockStorinfoServer.prototype.setRecords = function setRecords(records) {
+    this.records = normalizeRecords(records);
+};
+
+/*
+ * Changes the failures and latency injected into responses.  Properties which
+ * aren't specified are left as they are.
+ *
+ * @param {object} opts
+ * @param {number} opts.latencyMs  - delay before each response
+ * @param {number} opts.errorRate  - probability that a request fails
+ * @param {number} opts.failures   - number of upcoming requests which fail
+ * @param {number} opts.statusCode - HTTP status code for failed requests
+ * @throws {TypeError} on bad input.
+ */
+MockStorinfoServer.prototype.inject = function inject(opts) {
+    assert.object(opts, 'opts');
+    assert.optionalNumber(opts.latencyMs, 'latencyMs');
+    assert.optionalNumber(opts.errorRate, 'errorRate');
+    assert.optionalNumber(opts.failures, 'failures');
+    assert.optionalNumber(opts.statusCode, 'statusCode');
+
+    if (opts.latencyMs !== undefined) {
+        this.latencyMs = opts.latencyMs;
+    }
+    if (opts.errorRate !== undefined) {
+        assert.ok(opts.errorRate >= 0 && opts.errorRate <= 1,
+            'errorRate must be between 0 and 1');
+        this.errorRate = opts.errorRate;
+    }
+    if (opts.failures !== undefined) {
+        this.failures = opts.failures;
+    }
+    if (opts.statusCode !== undefined) {
+        this.statusCode = opts.statusCode;
+    }
+};
+
+/*
+ * Starts listening.  The callback is invoked with an error, if any.
+ *
+ * @param {number} port       - port to listen on, or 0 for any free port
+ * @param {string} host       - optional address to listen on (default:
+ *                              127.0.0.1)
+ * @param {function} callback - invoked once the server is listening
+ */
+MockStorinfoServer.prototype.listen = function listen(port, host, callback) {
+    if (typeof (host) === 'function') {
+        callback = host;
+        host = undefined;
+    }
+
+    assert.number(port, 'port');
+    assert.optionalString(host, 'host');
+    assert.func(callback, 'callback');
+
+    var self = this;
+
+    function onError(err) {
+        self.server.removeListener('listening', onListening);
+        callback(err);
+    }
+
+    function onListening() {
+        self.server.removeListener('error', onError);
+        self.log.info({ url: self.url() }, 'mock storinfo server listening');
+        callback(null);
+    }
+
+    self.server.once('error', onError);
+    self.server.once('listening', onListening);
+    self.server.listen(port, host || '127.0.0.1');
+};
+
+/*
+ * Returns the URL of the server, for use as a StorinfoClient's `url`.
+ */
+MockStorinfoServer.prototype.url = function getUrl() {
+    var addr = this.server.address();
+
+    assert.object(addr, 'server is not listening');
+
+    return ('http://' + addr.address + ':' + addr.port);
+};
+
+/*
+ * Stops the server.
+ *
+ * @param {function} callback - optional, invoked once the server has stopped
+ */
+MockStorinfoServer.prototype.close = function close(callback) {
+    assert.optionalFunc(callback, 'callback');
+
+    this.server.close(callback);
+};
+
+function createServer(opts) {
+    return (new MockStorinfoServer(opts));
+}
+
+module.exports = {
+    MockStorinfoServer: MockStorinfoServer,
+    createServer: createServer
+};
@@ -0,0 +1,148 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+/*
+ * On-disk snapshots of the storage topology.
+ *
+ * After each successful poll, StorinfoClient can save the storage records
+ * returned by the Storinfo service to a file, so that a client which starts
+ * while the Storinfo service is unavailable can still place objects.  A
+ * snapshot is a JSON object with the following properties:
+ *
+ *   version    the snapshot format version (SNAPSHOT_VERSION)
+ *   timestamp  ISO 8601 time at which the records were fetched
+ *   records    array of storage records, as returned by /storagenodes
+ */
+
+const fs = require('fs');
+
+const assert = require('assert-plus');
+const VError = require('verror').VError;
+
+const SNAPSHOT_VERSION = 1;
+
+/*
+ * Writes a snapshot of the given storage records to `file`.  The snapshot is
+ * written to a temporary file which is then renamed into place, so that
+ * readers never see a partially written snapshot.
+ *
+ * @param {string} file       - path of the snapshot file
+ * @param {object[]} records  - storage records
+ * @param {Date} time         - time at which the records were fetched
+ * @param {function} callback - invoked with an error, if any
+ * @throws {TypeError} on bad input.
+ */
+function writeSnapshot(file, records, time, callback) {
+    assert.string(file, 'file');
+    assert.arrayOfObject(records, 'records');
+    assert.date(time, 'time');
+    assert.func(callback, 'callback');
+
+    var tmpFile = file + '.' + process.pid + '.tmp';
+    var data = JSON.stringify({
+        version: SNAPSHOT_VERSION,
+        timestamp: time.toISOString(),
+        records: records
+    });
+
+    fs.writeFile(tmpFile, data, function (err) {
+        if (err) {
+            callback(new VError(err, 'writing snapshot "%s"', tmpFile));
+            return;
+        }
+
+        fs.rename(tmpFile, file, function (renameErr) {
+            if (renameErr) {
+                fs.unlink(tmpFile, function () {
+                    callback(new VError(renameErr,
+                        'renaming snapshot "%s" to "%s"', tmpFile, file));
+                });
+                return;
+            }
+
+            callback(null);
+        });
+    });
+}
+
+/*
+ * Returns true if `record` looks like a storage record: an object with a
+ * string manta_storage_id and datacenter, and a numeric availableMB.
+ */
+function checkRecord(record) {
+    return (typeof (record) === 'object' && record !== null &&
+        typeof (record.manta_storage_id) === 'string' &&
+        typeof (record.datacenter) === 'string' &&
+        typeof (record.availableMB) === 'number');
+}
+
+/*
+ * Reads the snapshot in `file`.  On success, the callback is invoked with an
+ * object with the `timestamp` (a Date) and `records` of the snapshot.
+ *
+ * @param {string} file       - path of the snapshot file
+ * @param {function} callback - invoked with an error, or null and the snapshot
+ * @throws {TypeError} on bad input.
+ */
+function readSnapshot(file, callback) {
+    assert.string(file, 'file');
+    assert.func(callback, 'callback');
+
+    fs.readFile(file, 'utf8', function (err, data) {
+        if (err) {
+            callback(new VError(err, 'reading snapshot "%s"', file));
+            return;
+        }
+
+        var snapshot;
+        try {
+            snapshot = JSON.parse(data);
+        } catch (e) {
+            callback(new VError(e, 'parsing snapshot "%s"', file));
+            return;
+        }
+
+        if (typeof (snapshot) !== 'object' || snapshot === null ||
+            snapshot.version !== SNAPSHOT_VERSION) {
+            callback(new VError('snapshot "%s" has unsupported version ' +
+                '(expected %d)', file, SNAPSHOT_VERSION));
+            return;
+        }
+
+        var timestamp = new Date(snapshot.timestamp);
+        if (isNaN(timestamp.getTime()) || !Array.isArray(snapshot.records)) {
+            callback(new VError('snapshot "%s" is malformed', file));
+            return;
+        }
+
+        /*
+         * Check each record as loadStorageNodes() would, since a bad record
+         * would otherwise only be noticed (by an exception) once we try to
+         * use the snapshot.
+         */
+        var bad = snapshot.records.map(checkRecord).indexOf(false);
+        if (bad !== -1) {
+            callback(new VError('snapshot "%s" has a malformed record ' +
+                '(index %d)', file, bad));
+            return;
+        }
+
+        callback(null, {
+            timestamp: timestamp,
+            records: snapshot.records
+        });
+    });
+}
+
+module.exports = {
+    SNAPSHOT_VERSION: SNAPSHOT_VERSION,
+    readSnapshot: readSnapshot,
+    writeSnapshot: writeSnapshot
+};
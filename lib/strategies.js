@@ -0,0 +1,1126 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+/*
+ * Object placement strategies used by StorinfoClient.choose().
+ *
+ * A strategy is an object with a `select(topology, request)` method that
+ * returns an array of tuples, each of which is an array of
+ * `{datacenter, manta_storage_id}` objects.  The first tuple is the "primary"
+ * placement, and any further tuples are fallbacks.
+ *
+ * The `topology` argument describes the storage nodes that may be used for the
+ * request:
+ *
+ *   datacenters  array of datacenter names
+ *   sharkMap     object mapping each datacenter name to an array of storage
+ *                records, sorted by availableMB
+ *   multiDC      whether this is a multi-datacenter deployment.  How far
+ *                replicas must be spread is given by the request's
+ *                `minDatacenters`.
+ *   utilization  the default utilization threshold (in percent) that the
+ *                storage records in sharkMap were filtered against
+ *   dcUtilization
+ *                object mapping each datacenter name to the utilization
+ *                threshold actually applied to it, which may differ from
+ *                `utilization`
+ *   faultDomains array of storage record properties (e.g. 'rack' or
+ *                'server_uuid') identifying fault domains within a
+ *                datacenter, ordered from the broadest to the narrowest
+ *
+ * The `request` argument describes the object being placed:
+ *
+ *   size         space (in MB) needed on each storage node
+ *   replicas     number of storage nodes in each tuple
+ *   tuples       number of tuples to return, including the primary
+ *   minDatacenters
+ *                minimum number of distinct datacenters that each tuple,
+ *                together with any `existing` copies, must span.  This is
+ *                capped at the total number of copies.
+ *   maxPerDatacenter
+ *                maximum number of storage nodes in a tuple which may be in
+ *                the same datacenter (possibly Infinity)
+ *   erasure      for erasure-coded objects, an object with the `k` (data
+ *                shards), `m` (parity shards), `maxShardsPerDc` and
+ *                `overheadMB` parameters, otherwise null.  In this case each
+ *                tuple is a set of k+m storage nodes, one per shard, and `size`
+ *                is already the size of a single shard.
+ *   isOperator   whether the request comes from an operator
+ *   selection    one of SELECTION_MODES
+ *   dcSelection  one of DC_SELECTION_MODES
+ *   exclude      object with `manta_storage_ids` and `datacenters` arrays
+ *                naming storage nodes and datacenters which must not be used
+ *   tripped      array of manta_storage_ids of storage nodes which must not be
+ *                used because they have been failing (see lib/health.js)
+ *   requireTags  array of tags which every storage node used must have
+ *   untagged     array of manta_storage_ids of storage nodes which must not be
+ *                used because they lack one of `requireTags`
+ *   existing     array of `{datacenter, manta_storage_id}` objects describing
+ *                copies of the object that already exist.  These storage nodes
+ *                must not be used again, and count towards the spread of
+ *                copies across datacenters.
+ *   random       function returning a random number in [0, 1), which the
+ *                strategy must use for all random decisions
+ *   seeded       true if the caller supplied its own random source or seed
+ *                for this request, in which case the strategy must produce
+ *                the same result for the same topology and request,
+ *                independent of any earlier requests
+ *   log          bunyan logger
+ *   stats        object which the strategy should populate with the
+ *                `dcsInUse` and `offsets` arrays describing the datacenters
+ *                that had room for the object, and optionally `dcWeights`,
+ *                an object mapping each of those datacenters to the share of
+ *                tuples it's expected to start
+ *   explain      if the caller asked for an explanation of the placement, an
+ *                object with `datacenters` and `tuples` arrays which the
+ *                strategy may populate (see explainDatacenter() and
+ *                assembleTuples()), otherwise null
+ *
+ * When an object cannot be placed, a strategy throws a VError (usually a
+ * NotEnoughSpaceError), which choose() passes to its callback.  Any other
+ * exception is treated as a programmer error.
+ *
+ * Strategies are registered by name with registerStrategy(), and a
+ * StorinfoClient creates its own instance of the configured strategy, so
+ * strategies are free to keep state (such as a round-robin index) across
+ * invocations.
+ */
+
+const assert = require('assert-plus');
+const errors = require('./errors.js');
+const util = require('util');
+
+const sprintf = util.format;
+
+const DEF_STRATEGY = 'default';
+
+/*
+ * Supported ways of picking a shark within a datacenter once lower_bound() has
+ * determined which sharks have room for the object:
+ *
+ *   uniform      every qualifying shark is equally likely to be picked
+ *   availableMB  sharks are weighted by their free space
+ *   headroom     sharks are weighted by how far their utilization is below the
+ *                applicable utilization threshold
+ */
+const SELECTION_MODES = [ 'uniform', 'availableMB', 'headroom' ];
+
+/*
+ * Supported ways of ordering the datacenters from which the sharks of a tuple
+ * are picked:
+ *
+ *   roundRobin    the datacenters are shuffled and each tuple starts at the
+ *                 next datacenter in turn, so every datacenter is equally
+ *                 likely to hold the first copy
+ *   availableMB   each tuple gets its own random ordering, in which
+ *                 datacenters are weighted by the total free space of their
+ *                 usable sharks
+ *   storageNodes  likewise, but datacenters are weighted by their number of
+ *                 usable sharks
+ *
+ * In every mode a tuple visits each datacenter once before returning to any,
+ * so copies are spread across datacenters just as much.
+ */
+const DC_SELECTION_MODES = [ 'roundRobin', 'availableMB', 'storageNodes' ];
+
+/*
+ * Maps strategy names to functions returning a new strategy instance.
+ */
+const STRATEGIES = {};
+
+/*
+ * Returns a deterministic pseudo-random number generator, seeded with the given
+ * number or string.  Like Math.random(), the generator returns numbers in the
+ * range [0, 1).
+ *
+ * The seed is hashed with 32-bit FNV-1a, and the generator itself is
+ * mulberry32.  Neither is suitable for cryptographic purposes, but they're
+ * plenty for spreading objects around and cheap enough to call on every
+ * placement.
+ */
+function createRandom(seed) {
+    assert.ok(typeof (seed) === 'number' || typeof (seed) === 'string',
+        'seed must be a number or a string');
+
+    var str = String(seed);
+    var state = 0x811c9dc5;
+
+    for (var i = 0; i < str.length; i++) {
+        state ^= str.charCodeAt(i);
+        state = Math.imul(state, 0x01000193);
+    }
+
+    return (function seededRandom() {
+        state = (state + 0x6d2b79f5) | 0;
+        var t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return (((t ^ (t >>> 14)) >>> 0) / 4294967296);
+    });
+}
+
+/*
+ * Fisher-Yates shuffle - courtesy of http://bost.ocks.org/mike/shuffle/
+ *
+ * Called by DefaultStrategy.select()
+ */
+function shuffle(array, rng) {
+    var m = array.length,
+        t, i;
+
+    rng = rng || Math.random;
+
+    while (m) {
+        i = Math.floor(rng() * m--);
+        t = array[m];
+        array[m] = array[i];
+        array[i] = t;
+    }
+    return (array);
+}
+
+/*
+ * Just picks a random number, and optionally skips the last one we saw.
+ *
+ * Called by DefaultStrategy.select()
+ */
+function random(min, max, skip, rng) {
+    rng = rng || Math.random;
+
+    var num = (Math.floor(rng() * (max - min + 1)) + min);
+
+    if (num === skip) {
+        num = ((num + 1) % max);
+    }
+
+    return (num);
+}
+
+/*
+ * Picks an index in the range [min, max] of `set`, where the likelihood of
+ * picking any given element is proportional to the weight returned for it by
+ * `weight`.  Elements with a non-positive (or non-finite) weight are never
+ * picked.  If no element in the range has a positive weight, we fall back to a
+ * uniform pick so that callers always get a usable index.
+ *
+ * Called by DefaultStrategy.select()
+ */
+function weightedRandom(set, min, max, weight, rng) {
+    assert.arrayOfObject(set, 'set');
+    assert.number(min, 'min');
+    assert.number(max, 'max');
+    assert.func(weight, 'weight');
+    assert.optionalFunc(rng, 'rng');
+
+    rng = rng || Math.random;
+
+    var weights = [];
+    var total = 0;
+    var i, w;
+
+    for (i = min; i <= max; i++) {
+        w = weight(set[i]);
+        if (!isFinite(w) || w < 0) {
+            w = 0;
+        }
+        weights.push(w);
+        total += w;
+    }
+
+    if (total <= 0) {
+        return (random(min, max, undefined, rng));
+    }
+
+    var target = rng() * total;
+    for (i = 0; i < weights.length; i++) {
+        target -= weights[i];
+        if (target < 0 && weights[i] > 0) {
+            return (min + i);
+        }
+    }
+
+    /*
+     * Floating point rounding can leave us here; settle on the last element
+     * that could have been picked.
+     */
+    for (i = weights.length - 1; i >= 0; i--) {
+        if (weights[i] > 0) {
+            break;
+        }
+    }
+
+    return (min + i);
+}
+
+/*
+ * Returns the indices of `weights` in a random order, in which an index is
+ * more likely to come before another the greater its weight: the first index
+ * is picked with probability proportional to its weight, the next likewise
+ * from those remaining, and so on.  This is the weighted random sampling of
+ * Efraimidis and Spirakis.  Indices with a non-positive weight come last.
+ *
+ * Called by DefaultStrategy.select()
+ */
+function weightedOrder(weights, rng) {
+    assert.arrayOfNumber(weights, 'weights');
+
+    rng = rng || Math.random;
+
+    /*
+     * The keys are log(u^(1/w)) rather than u^(1/w), which orders the indices
+     * the same way without losing precision for large weights.
+     */
+    var keys = weights.map(function (w) {
+        return (w > 0 ? Math.log(rng()) / w : -Infinity);
+    });
+
+    return (weights.map(function (_, i) {
+        return (i);
+    }).sort(function (a, b) {
+        if (keys[a] === keys[b]) {
+            return (a - b);
+        }
+        return (keys[a] > keys[b] ? -1 : 1);
+    }));
+}
+
+/*
+ * Returns the weight of each of the datacenters `dcs` for the request's
+ * `dcSelection` mode, given each one's lower bound in `offsets` and the
+ * storage nodes which have already been `seen`.
+ *
+ * Called by DefaultStrategy.select()
+ */
+function datacenterWeights(topology, request, dcs, offsets, seen) {
+    return (dcs.map(function (dc, i) {
+        var sharks = topology.sharkMap[dc].slice(offsets[i]);
+
+        return (sharks.reduce(function (acc, shark) {
+            if (seen.indexOf(shark.manta_storage_id) !== -1) {
+                return (acc);
+            }
+            return (acc + (request.dcSelection === 'availableMB' ?
+                shark.availableMB : 1));
+        }, 0));
+    }));
+}
+
+/*
+ * Modified binary-search. We're looking for the point in the set at which all
+ * servers have at least the requested amount of space.  Logically you would
+ * then do set.slice(lower_bound(set, 100));
+ * But that creates a copy - but really the return value of this to $end is
+ * what the choose logic can then look at.
+ *
+ * Called by filterDatacenters()
+ */
+function lower_bound(set, size, low, high) {
+    assert.arrayOfObject(set, 'set');
+    assert.number(size, 'size');
+    assert.optionalNumber(low, 'low');
+
+    low = low || 0;
+    high = high || set.length;
+
+    while (low < high) {
+        var mid = Math.floor(low + (high - low) / 2);
+        if (set[mid].availableMB >= size) {
+            high = mid;
+        } else {
+            low = mid + 1;
+        }
+    }
+
+    if (!set[low] || set[low].availableMB < size) {
+        low = -1;
+    }
+
+    return (low);
+}
+
+/*
+ * Determine the index of the first storage node for each DC that has space for
+ * an object of the requested size.  If no sharks in a given DC have enough
+ * space, we exclude them from the possible set of DCs to choose from.  The
+ * same goes for DCs excluded by the request, and for DCs in which all sharks
+ * with enough space have either been excluded by the request, tripped or
+ * already hold a copy of the object.
+ *
+ * Along with the DCs and offsets, we return the number of usable sharks in
+ * each DC.  The DCs and offsets are also recorded in the request's stats, and
+ * the number of DCs and sharks that would otherwise have been usable, but were
+ * excluded, is recorded on the request for use by placementError().
+ */
+function filterDatacenters(topology, request) {
+    var dcs = [];
+    var offsets = [];
+    var counts = [];
+    var excludedDcs = request.exclude.datacenters;
+    var excludedIds = request.exclude.manta_storage_ids;
+    var trippedIds = request.tripped;
+    var untaggedIds = request.untagged;
+    var existingIds = request.existing.map(mapId);
+
+    request.excluded = {
+        datacenters: 0,
+        storageNodes: 0,
+        tripped: 0,
+        untagged: 0
+    };
+
+    topology.datacenters.forEach(function filterDatacenter(dc) {
+        var sharks = topology.sharkMap[dc];
+        var l = lower_bound(sharks, request.size);
+        var report = explainDatacenter(request, dc, sharks, l);
+        if (l === -1) {
+            report.status = 'no storage node with sufficient space';
+            return;
+        }
+
+        if (excludedDcs.indexOf(dc) !== -1) {
+            request.excluded.datacenters++;
+            report.status = 'datacenter excluded by request';
+            return;
+        }
+
+        var usable = sharks.length - l;
+        if (excludedIds.length > 0 || existingIds.length > 0 ||
+            trippedIds.length > 0 || untaggedIds.length > 0) {
+            usable = 0;
+            for (var i = l; i < sharks.length; i++) {
+                var id = sharks[i].manta_storage_id;
+                if (excludedIds.indexOf(id) !== -1) {
+                    request.excluded.storageNodes++;
+                    report.excluded.push(id);
+                } else if (trippedIds.indexOf(id) !== -1) {
+                    request.excluded.tripped++;
+                    report.tripped.push(id);
+                } else if (untaggedIds.indexOf(id) !== -1) {
+                    request.excluded.untagged++;
+                    report.untagged.push(id);
+                } else if (existingIds.indexOf(id) !== -1) {
+                    report.existing.push(id);
+                } else {
+                    usable++;
+                }
+            }
+
+            if (usable === 0) {
+                report.status = 'all storage nodes with sufficient space ' +
+                    'are excluded, tripped, untagged or hold a copy';
+                return;
+            }
+        }
+
+        report.usable = usable;
+        report.status = 'usable';
+
+        dcs.push(dc);
+        offsets.push(l);
+        counts.push(usable);
+    });
+
+    request.stats.dcsInUse = dcs;
+    request.stats.offsets = offsets;
+
+    return ({
+        dcs: dcs,
+        offsets: offsets,
+        counts: counts
+    });
+}
+
+/*
+ * Adds an entry describing datacenter `dc` to the request's explanation, if
+ * one was asked for, and returns it.  The entry records how many of the
+ * datacenter's `sharks` (which have already passed the utilization filter)
+ * have room for the object, given that `l` is the lower bound for its size.
+ * The caller fills in the storage nodes which were `excluded` by the request,
+ * `tripped` (see lib/health.js), `untagged` (lacking the required tags) or
+ * hold an `existing` copy of the object, the number which remain `usable`, and
+ * the datacenter's `status`.
+ *
+ * If no explanation was asked for, the entry is simply discarded.
+ */
+function explainDatacenter(request, dc, sharks, l) {
+    var report = {
+        datacenter: dc,
+        storageNodes: sharks.length,
+        sufficientSpace: l === -1 ? 0 : sharks.length - l,
+        excluded: [],
+        tripped: [],
+        untagged: [],
+        existing: [],
+        usable: 0,
+        status: null
+    };
+
+    if (request.explain) {
+        request.explain.datacenters.push(report);
+    }
+
+    return (report);
+}
+
+/*
+ * Returns a NotEnoughSpaceError for the request with the given cause.  If the
+ * request excluded any datacenters or storage nodes which would otherwise have
+ * been usable, we say so, since the exclusions may be the reason we couldn't
+ * place the object.
+ */
+function placementError(request, cause) {
+    var excluded = request.excluded;
+
+    if (excluded && (excluded.datacenters > 0 || excluded.storageNodes > 0)) {
+        cause += sprintf(' (excluded %d DC(s) and %d storage node(s) with ' +
+            'sufficient space)', excluded.datacenters, excluded.storageNodes);
+    }
+
+    if (excluded && excluded.tripped > 0) {
+        cause += sprintf(' (%d storage node(s) with sufficient space are ' +
+            'tripped)', excluded.tripped);
+    }
+
+    if (excluded && excluded.untagged > 0) {
+        var tags = request.requireTags.join(', ');
+        cause += sprintf(' (%d storage node(s) with sufficient space lack ' +
+            'the required tags: %s)', excluded.untagged, tags);
+    }
+
+    return (new errors.NotEnoughSpaceError(request.size, cause));
+}
+
+/*
+ * Throws a NotEnoughSpaceError if the datacenters with room for the object
+ * (as returned by filterDatacenters()) can't satisfy the request.
+ */
+function checkDatacenters(request, filtered) {
+    var dcs = filtered.dcs;
+    var existing = request.existing;
+    var copies = request.replicas + existing.length;
+    var allDcs = existing.map(mapFun).reduce(reduceFun, dcs.slice());
+    var minDcs = Math.min(request.minDatacenters, copies);
+    var ec = request.erasure;
+    var cause;
+
+    /*
+     * The number of sharks we could use for a single tuple, given the limit
+     * on sharks per DC.
+     */
+    var placeable = filtered.counts.reduce(function (acc, count) {
+        return (acc + Math.min(count, request.maxPerDatacenter));
+    }, 0);
+
+    if (dcs.length === 0) {
+        cause = sprintf('no DC with sufficient space');
+    } else if (placeable < request.replicas &&
+        (ec || isFinite(request.maxPerDatacenter))) {
+        if (ec) {
+            cause = sprintf('%d+%d erasure coding requires %d storage nodes',
+                ec.k, ec.m, request.replicas);
+        } else {
+            cause = sprintf('%d copies require %d storage nodes',
+                request.replicas, request.replicas);
+        }
+        cause += sprintf(' with sufficient space and at most %d per DC, but ' +
+            'only %d are available', request.maxPerDatacenter, placeable);
+    } else if (allDcs.length < minDcs) {
+        cause = sprintf('%d copies requested across at least %d DCs, but ' +
+            'only %d DC(s) have', request.replicas, minDcs, dcs.length);
+        cause += ' sufficient space';
+        if (existing.length > 0) {
+            var existingDcs = existing.map(mapFun).reduce(reduceFun, []);
+            cause += sprintf(' and the %d existing copies are in %s',
+                existing.length, existingDcs.join(', '));
+        }
+    } else {
+        return;
+    }
+
+    request.log.warn('StorinfoClient.choose: not enough DCs available');
+    throw (placementError(request, cause));
+}
+
+function mapFun(s) {
+    return (s.datacenter);
+}
+
+function mapId(s) {
+    return (s.manta_storage_id);
+}
+
+function mapPlacement(s) {
+    return ({
+        datacenter: s.datacenter,
+        manta_storage_id: s.manta_storage_id
+    });
+}
+
+function reduceFun(last, now) {
+    if (last.indexOf(now) === -1) {
+        last.push(now);
+    }
+    return (last);
+}
+
+/*
+ * Returns true if `shark` shares the fault domain at the given level (an index
+ * into topology.faultDomains) with any of the `chosen` sharks in the same
+ * datacenter.  Sharks which don't report a fault domain never conflict, and
+ * nor does anything at a level beyond the configured fault domains.
+ */
+function sharesFaultDomain(topology, chosen, shark, level) {
+    var key = topology.faultDomains[level];
+
+    if (key === undefined || shark[key] === undefined) {
+        return (false);
+    }
+
+    return (chosen.some(function (c) {
+        return (c.datacenter === shark.datacenter && c[key] === shark[key]);
+    }));
+}
+
+/*
+ * Throws a NotEnoughSpaceError if `tuple` spans fewer than the required number
+ * of DCs (counting those holding existing copies) or has more than
+ * `request.maxPerDatacenter` sharks in any one DC, after recording why in the
+ * tuple's `trace` (see assembleTuples()).
+ */
+function checkSpread(request, tuple, trace) {
+    var minDcs = Math.min(request.minDatacenters,
+        tuple.length + request.existing.length);
+    var dcs = tuple.map(mapFun).reduce(reduceFun,
+        request.existing.map(mapFun).reduce(reduceFun, []));
+    var perDc = {};
+    var cause;
+
+    tuple.forEach(function (s) {
+        perDc[s.datacenter] = (perDc[s.datacenter] || 0) + 1;
+    });
+
+    var crowded = Object.keys(perDc).filter(function (dc) {
+        return (perDc[dc] > request.maxPerDatacenter);
+    });
+
+    if (dcs.length < minDcs) {
+        cause = sprintf('insufficient number of DCs selected (%d of %d ' +
+            'required)', dcs.length, minDcs);
+        if (dcs.length === 1) {
+            trace.rejected = sprintf('all copies are in %s', dcs[0]);
+        } else {
+            trace.rejected = sprintf('copies are only in %s', dcs.join(', '));
+        }
+    } else if (crowded.length > 0) {
+        cause = sprintf('more than %d copies selected in one DC',
+            request.maxPerDatacenter);
+        trace.rejected = sprintf('%d copies are in %s', perDc[crowded[0]],
+            crowded[0]);
+    } else {
+        return;
+    }
+
+    throw (placementError(request, cause));
+}
+
+/*
+ * We pick `request.tuples` sets (three, unless configured otherwise), and we
+ * pedantically ensure that each is splayed across at least
+ * `request.minDatacenters` DCs, taking into account any copies of the object
+ * which already exist, and that none has more than `request.maxPerDatacenter`
+ * sharks in any one DC.  The strategy should already have respected the
+ * latter while building each set.
+ *
+ * `set` is a function returning a tuple of `request.replicas` sharks, or null
+ * if no such tuple could be found.  It's passed an object on which it should
+ * count the number of `retries` it made (i.e. the number of times it had to
+ * skip a shark because it was already used, excluded or in the same fault
+ * domain as another, or move on to another DC because one was full or
+ * exhausted) and record the `exhausted` DCs, which had no unused sharks left.
+ * If the request asked for an explanation, these objects, along with the
+ * resulting `tuple` and the reason it was `rejected` (if it was), are added to
+ * its `tuples`.
+ */
+function assembleTuples(request, set) {
+    var replicas = request.replicas;
+    var ec = request.erasure;
+    var sharks = [];
+    var cause;
+
+    for (var i = 0; i < request.tuples; i++) {
+        var trace = {
+            retries: 0,
+            exhausted: [],
+            tuple: null,
+            rejected: null
+        };
+        var tuple = set(trace);
+
+        trace.tuple = tuple;
+        if (request.explain) {
+            request.explain.tuples.push(trace);
+        }
+
+        if (!tuple || tuple.length < replicas) {
+            trace.rejected = 'not enough usable storage nodes';
+        }
+
+        if (!sharks.length && (!tuple || tuple.length < replicas)) {
+            if (ec) {
+                cause = sprintf('unable to place %d+%d erasure coded shards ' +
+                    'with at most %d per DC', ec.k, ec.m, ec.maxShardsPerDc);
+            } else {
+                cause = 'copies requested exceeds number of available ' +
+                    'storage nodes';
+            }
+            throw (placementError(request, cause));
+        } else if (tuple) {
+            checkSpread(request, tuple, trace);
+        }
+
+        if (tuple) {
+            sharks.push(tuple);
+        }
+    }
+
+    return (sharks);
+}
+
+/*
+ * The default strategy, which has historically been the only object placement
+ * algorithm in Manta.
+ *
+ * It selects three random "tuples" (the number of items in a tuple is
+ * #replicas).  Once lower_bound() has told us which sharks in each DC have room
+ * for the object, we simply pick random nodes from those sharks.  Lastly, we RR
+ * across DCs so we spread objects around evenly.
+ *
+ * When the 'availableMB' or 'storageNodes' DC selection mode is in effect, the
+ * round robin is replaced by a random order of DCs for each tuple, weighted by
+ * the DCs' free space or number of sharks, so that a DC with plenty of room
+ * starts more tuples than one that's nearly full.
+ *
+ * By default every qualifying shark is equally likely to be picked.  When the
+ * 'availableMB' or 'headroom' selection mode is in effect, the random pick is
+ * instead weighted by the shark's free space or by its distance from the
+ * utilization threshold respectively, so that emptier sharks (e.g. newly added
+ * ones) receive proportionally more objects.
+ */
+function DefaultStrategy() {
+    this.dcIndex = -1;
+}
+
+DefaultStrategy.prototype.name = 'default';
+
+DefaultStrategy.prototype.select = function select(topology, request) {
+    var log = request.log;
+    var replicas = request.replicas;
+    var selection = request.selection;
+    var seen = request.exclude.manta_storage_ids.concat(request.tripped,
+        request.untagged, request.existing.map(mapId));
+    var self = this;
+
+    var filtered = filterDatacenters(topology, request);
+    var dcs = filtered.dcs;
+    var offsets = filtered.offsets;
+
+    checkDatacenters(request, filtered);
+
+    /*
+     * Shuffle the DCs along with their offsets, so that the two arrays stay
+     * in step with each other.
+     */
+    var order = shuffle(dcs.map(function (_, i) {
+        return (i);
+    }), request.random);
+    dcs = order.map(function (i) {
+        return (filtered.dcs[i]);
+    });
+    offsets = order.map(function (i) {
+        return (filtered.offsets[i]);
+    });
+
+    /*
+     * When placing additional copies of an existing object, we prefer DCs that
+     * don't yet hold a copy.  We move those DCs to the front of the ordering
+     * and start each tuple from the front, rather than continuing the
+     * client-wide round robin, so that every tuple gets the benefit.
+     *
+     * Seeded requests likewise use their own round robin, so that their
+     * result doesn't depend on what other requests have done.
+     */
+    var dcIndex = -1;
+    var preferFresh = request.existing.length > 0;
+    var local = preferFresh || request.seeded;
+    var fresh = dcs.length;
+
+    if (preferFresh) {
+        var existingDcs = request.existing.map(mapFun);
+        var freshDcs = [];
+        var stale = [];
+        dcs.forEach(function (dc, i) {
+            if (existingDcs.indexOf(dc) === -1) {
+                freshDcs.push(i);
+            } else {
+                stale.push(i);
+            }
+        });
+        fresh = freshDcs.length;
+        order = freshDcs.concat(stale);
+        var shuffledDcs = dcs;
+        var shuffledOffsets = offsets;
+        dcs = order.map(function (i) {
+            return (shuffledDcs[i]);
+        });
+        offsets = order.map(function (i) {
+            return (shuffledOffsets[i]);
+        });
+    }
+
+    /*
+     * With weighted DC selection, each tuple visits the DCs in an order drawn
+     * by weightedOrder() (keeping DCs without a copy ahead of the rest when
+     * placing additional copies), rather than continuing the round robin.
+     */
+    var weighted = request.dcSelection !== 'roundRobin';
+    var weights = datacenterWeights(topology, request, dcs, offsets, seen);
+    var tupleOrder = null;
+
+    if (!weighted) {
+        weights = dcs.map(function () {
+            return (1);
+        });
+    }
+
+    var total = weights.reduce(function (acc, w) {
+        return (acc + w);
+    }, 0);
+    request.stats.dcWeights = {};
+    dcs.forEach(function (dc, i) {
+        request.stats.dcWeights[dc] = total > 0 ? weights[i] / total : 0;
+    });
+
+    function drawOrder() {
+        var head = weightedOrder(weights.slice(0, fresh), request.random);
+        var tail = weightedOrder(weights.slice(fresh), request.random);
+
+        return (head.concat(tail.map(function (i) {
+            return (i + fresh);
+        })));
+    }
+
+    function nextDc() {
+        if (weighted) {
+            if (++dcIndex >= dcs.length) {
+                dcIndex = 0;
+            }
+            return (tupleOrder[dcIndex]);
+        }
+
+        if (local) {
+            if (++dcIndex >= dcs.length) {
+                dcIndex = 0;
+            }
+            return (dcIndex);
+        }
+
+        if (++self.dcIndex >= dcs.length) {
+            self.dcIndex = 0;
+        }
+        return (self.dcIndex);
+    }
+
+    function weight(shark) {
+        if (selection === 'availableMB') {
+            return (shark.availableMB);
+        }
+
+        return (topology.dcUtilization[shark.datacenter] - shark.percentUsed);
+    }
+
+    /*
+     * Pick a random shark from the given DC.  If it hasn't yet been used for a
+     * set, return the shark.
+     *
+     * If the shark has been chosen for another set (or has been excluded by
+     * the request or tripped, as such sharks start out in `seen`), iterate
+     * through all sharks in the DC until we find one that hasn't yet been
+     * seen.
+     *
+     * When fault domains are configured, we also skip sharks which share the
+     * broadest fault domain with a shark already `chosen` for this set.  If
+     * that's not possible, we settle for spreading across the next narrower
+     * fault domain, and so on.
+     *
+     * If there are no sharks that haven't yet been used in the DC, return null.
+     */
+    function pick(ndx, chosen, trace) {
+        var dc = topology.sharkMap[dcs[ndx]];
+
+        var start;
+        if (selection === 'uniform') {
+            start = random(offsets[ndx], dc.length - 1, undefined,
+                request.random);
+        } else {
+            start = weightedRandom(dc, offsets[ndx], dc.length - 1, weight,
+                request.random);
+        }
+
+        function usable(shark, level) {
+            return (seen.indexOf(shark.manta_storage_id) === -1 &&
+                !sharesFaultDomain(topology, chosen, shark, level));
+        }
+
+        var levels = topology.faultDomains.length;
+        for (var level = 0; level <= levels; level++) {
+            var s = start;
+            while (!usable(dc[s], level)) {
+                trace.retries++;
+                if (++s === dc.length) {
+                    s = offsets[ndx];
+                }
+
+                if (s === start) {
+                    s = -1;
+                    break;
+                }
+            }
+
+            if (s !== -1) {
+                seen.push(dc[s].manta_storage_id);
+                return (dc[s]);
+            }
+        }
+
+        log.debug({
+            datacenter: dcs[ndx]
+        }, 'StorinfoClient.choose: exhausted DC');
+        reduceFun(trace.exhausted, dcs[ndx]);
+        return (null);
+    }
+
+    /*
+     * Pick a shark from the next DC in the round robin ordering which has
+     * fewer than `maxPerDatacenter` sharks in the set so far (as counted in
+     * `perDc`).
+     *
+     * Without a limit on sharks per DC, we give up if that DC is exhausted.
+     * With a limit, we move on to the following DC instead, since we're
+     * relying on the other DCs to make up the numbers.
+     */
+    function host(perDc, chosen, trace) {
+        var limited = isFinite(request.maxPerDatacenter);
+
+        for (var tries = 0; tries < dcs.length; tries++) {
+            if (tries > 0) {
+                trace.retries++;
+            }
+
+            var ndx = nextDc();
+            if (perDc[dcs[ndx]] >= request.maxPerDatacenter) {
+                continue;
+            }
+
+            var shark = pick(ndx, chosen, trace);
+            if (shark !== null || !limited) {
+                return (shark);
+            }
+        }
+
+        return (null);
+    }
+
+    /*
+     * Return a set with `replicas` sharks.
+     */
+    function set(trace) {
+        var chosen = [];
+        var perDc = {};
+
+        if (preferFresh || weighted) {
+            dcIndex = -1;
+        }
+        if (weighted) {
+            tupleOrder = drawOrder();
+        }
+
+        for (var j = 0; j < replicas; j++) {
+            var shark = host(perDc, chosen, trace);
+            if (shark === null) {
+                return (null);
+            }
+            perDc[shark.datacenter] = (perDc[shark.datacenter] || 0) + 1;
+            chosen.push(shark);
+        }
+
+        return (chosen.map(mapPlacement));
+    }
+
+    return (assembleTuples(request, set));
+};
+
+/*
+ * An alternative strategy that always places objects on the sharks with the
+ * most free space.  The replicas of each tuple are taken from consecutive DCs
+ * (starting at a different DC for each tuple), and within each DC we take the
+ * emptiest shark that hasn't already been used for this request.
+ *
+ * This is deterministic for a given topology, and fills newly added sharks
+ * aggressively at the expense of concentrating writes on few sharks between
+ * polls.  The `selection` mode of the request is ignored.
+ */
+function MostAvailableStrategy() {
+}
+
+MostAvailableStrategy.prototype.name = 'mostAvailable';
+
+MostAvailableStrategy.prototype.select = function select(topology, request) {
+    var replicas = request.replicas;
+    var seen = request.exclude.manta_storage_ids.concat(request.tripped,
+        request.untagged, request.existing.map(mapId));
+
+    var filtered = filterDatacenters(topology, request);
+    var dcs = filtered.dcs;
+    var offsets = filtered.offsets;
+
+    checkDatacenters(request, filtered);
+
+    var dcIndex = -1;
+    var tupleCount = 0;
+
+    /*
+     * Take the emptiest unused shark from the given DC, preferring sharks that
+     * don't share a fault domain with those already `chosen` for the set in
+     * the same way as the default strategy.
+     */
+    function pick(dc, offset, chosen, trace) {
+        var levels = topology.faultDomains.length;
+
+        for (var level = 0; level <= levels; level++) {
+            for (var s = dc.length - 1; s >= offset; s--) {
+                if (seen.indexOf(dc[s].manta_storage_id) === -1 &&
+                    !sharesFaultDomain(topology, chosen, dc[s], level)) {
+                    seen.push(dc[s].manta_storage_id);
+                    return (dc[s]);
+                }
+                trace.retries++;
+            }
+        }
+
+        return (null);
+    }
+
+    /*
+     * Pick a shark from the next DC which has fewer than `maxPerDatacenter`
+     * sharks in the set so far.
+     */
+    function host(perDc, chosen, trace) {
+        for (var tries = 0; tries < dcs.length; tries++) {
+            if (tries > 0) {
+                trace.retries++;
+            }
+
+            if (++dcIndex >= dcs.length) {
+                dcIndex = 0;
+            }
+
+            if (perDc[dcs[dcIndex]] >= request.maxPerDatacenter) {
+                continue;
+            }
+
+            var shark = pick(topology.sharkMap[dcs[dcIndex]],
+                offsets[dcIndex], chosen, trace);
+            if (shark !== null) {
+                return (shark);
+            }
+            reduceFun(trace.exhausted, dcs[dcIndex]);
+        }
+
+        return (null);
+    }
+
+    function set(trace) {
+        var chosen = [];
+        var perDc = {};
+
+        dcIndex = (tupleCount++ % dcs.length) - 1;
+
+        for (var j = 0; j < replicas; j++) {
+            var shark = host(perDc, chosen, trace);
+            if (shark === null) {
+                return (null);
+            }
+            perDc[shark.datacenter] = (perDc[shark.datacenter] || 0) + 1;
+            chosen.push(shark);
+        }
+
+        return (chosen.map(mapPlacement));
+    }
+
+    return (assembleTuples(request, set));
+};
+
+/*
+ * Registers a placement strategy under `name`.  `factory` is invoked with no
+ * arguments by each StorinfoClient configured to use the strategy, and must
+ * return an object with a `select(topology, request)` method.  Registering a
+ * strategy under an existing name replaces it.
+ */
+function registerStrategy(name, factory) {
+    assert.string(name, 'name');
+    assert.func(factory, 'factory');
+
+    STRATEGIES[name] = factory;
+}
+
+/*
+ * Returns a new instance of the strategy registered under `name`.
+ */
+function createStrategy(name) {
+    assert.string(name, 'name');
+
+    assert.ok(STRATEGIES.hasOwnProperty(name),
+        sprintf('unknown placement strategy "%s"', name));
+
+    var strategy = STRATEGIES[name]();
+    assert.object(strategy, 'strategy');
+    assert.func(strategy.select, 'strategy.select');
+
+    return (strategy);
+}
+
+/*
+ * Returns the names of all registered strategies.
+ */
+function listStrategies() {
+    return (Object.keys(STRATEGIES));
+}
+
+registerStrategy('default', function createDefaultStrategy() {
+    return (new DefaultStrategy());
+});
+
+registerStrategy('mostAvailable', function createMostAvailableStrategy() {
+    return (new MostAvailableStrategy());
+});
+
+
+module.exports = {
+    DEF_STRATEGY: DEF_STRATEGY,
+    SELECTION_MODES: SELECTION_MODES,
+    DC_SELECTION_MODES: DC_SELECTION_MODES,
+    DefaultStrategy: DefaultStrategy,
+    MostAvailableStrategy: MostAvailableStrategy,
+    createRandom: createRandom,
+    createStrategy: createStrategy,
+    listStrategies: listStrategies,
+    lower_bound: lower_bound,
+    registerStrategy: registerStrategy
+};
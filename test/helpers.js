@@ -0,0 +1,98 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+/*
+ * Helpers shared by the tests which run against the mock Storinfo server.
+ */
+
+const EventEmitter = require('events').EventEmitter;
+const path = require('path');
+
+const bunyan = require('bunyan');
+
+const mod_server = require('../lib/server.js');
+
+// /--- Globals
+
+const RECORDS_FILE = path.join(__dirname, 'storinfo.records.json');
+
+var LOG = bunyan.createLogger({
+    level: process.env.LOG_LEVEL || 'fatal',
+    name: 'storinfo_test',
+    stream: process.stdout
+});
+
+// /--- Helpers
+
+/*
+ * Starts a mock Storinfo server with the given options, calls
+ * `createClient(url)` to create a client for it and invokes
+ * `callback(server, client, done)`, where `done` closes them both and ends
+ * the test.
+ */
+function withServer(t, serverOpts, createClient, callback) {
+    var server = mod_server.createServer(Object.assign({
+        log: LOG,
+        recordsFile: RECORDS_FILE
+    }, serverOpts));
+
+    server.listen(0, function (err) {
+        t.ifError(err, 'server listening');
+
+        var client = createClient(server.url());
+
+        callback(server, client, function done() {
+            client.close();
+            server.close();
+            t.end();
+        });
+    });
+}
+
+/*
+ * Returns an AbortController.  Versions of node before 15 don't have one, so
+ * there we return a stand-in whose signal has the parts of the AbortSignal
+ * interface that StorageNodeStream uses.
+ */
+function createAbortController() {
+    if (typeof (global.AbortController) === 'function') {
+        return (new global.AbortController());
+    }
+
+    var emitter = new EventEmitter();
+    var signal = {
+        aborted: false,
+        addEventListener: emitter.on.bind(emitter),
+        removeEventListener: emitter.removeListener.bind(emitter)
+    };
+
+    return ({
+        signal: signal,
+        abort: function abort() {
+            if (!signal.aborted) {
+                signal.aborted = true;
+                emitter.emit('abort');
+            }
+        }
+    });
+}
+
+function ids(records) {
+    return (records.map(function (r) {
+        return (r.manta_storage_id);
+    }));
+}
+
+module.exports = {
+    LOG: LOG,
+    createAbortController: createAbortController,
+    ids: ids,
+    withServer: withServer
+};
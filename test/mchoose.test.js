@@ -7,6 +7,8 @@
  */
 
 const forkExecWait = require('forkexec').forkExecWait;
+const fs = require('fs');
+const os = require('os');
 const path = require('path');
 
 const test = require('tap').test;
@@ -41,3 +43,117 @@ test('mchoose -h', function (t) {
         t.end();
     });
 });
+
+/*
+ * Verify that a seeded placement can be replayed exactly
+ */
+test('mchoose choose --seed', function (t) {
+    var config = path.join(os.tmpdir(), 'mchoose.test.' + process.pid +
+        '.json');
+    var records = path.resolve(__dirname, 'storinfo.records.json');
+
+    fs.writeFileSync(config, JSON.stringify({
+        storage: {
+            multiDC: true
+        }
+    }));
+
+    var argv = [
+        MCHOOSE,
+        'choose',
+        '-c', config,
+        '-f', records,
+        '-r', '3',
+        '--seed', 'replay'
+    ];
+
+    forkExecWait({
+        argv: argv
+    }, function (err, first) {
+        t.ifError(err, err);
+        t.ok(/choices:/.test(first.stdout), 'choices printed');
+
+        forkExecWait({
+            argv: argv
+        }, function (err2, second) {
+            t.ifError(err2, err2);
+            t.equal(second.stdout, first.stdout, 'same choices');
+
+            fs.unlinkSync(config);
+            t.end();
+        });
+    });
+});
+
+/*
+ * Verify that --explain describes the placement decision
+ */
+test('mchoose choose --explain', function (t) {
+    var config = path.join(os.tmpdir(), 'mchoose.test.explain.' +
+        process.pid + '.json');
+    var records = path.resolve(__dirname, 'storinfo.records.json');
+
+    fs.writeFileSync(config, JSON.stringify({
+        storage: {
+            multiDC: true
+        }
+    }));
+
+    forkExecWait({
+        argv: [ MCHOOSE, 'choose', '-c', config, '-f', records, '--explain' ]
+    }, function (err, info) {
+        t.ifError(err, err);
+        t.ok(/placement explanation/.test(info.stdout), 'explanation printed');
+        t.ok(/us-east-1 +4 +90 +0 +4 +0 +0 +4 +usable/.test(info.stdout),
+            'datacenter described');
+
+        fs.unlinkSync(config);
+        t.end();
+    });
+});
+
+/*
+ * Verify that --explain reports each datacenter's own utilization threshold
+ */
+test('mchoose choose --explain per-datacenter thresholds', function (t) {
+    var config = path.join(os.tmpdir(), 'mchoose.test.thresholds.' +
+        process.pid + '.json');
+    var records = path.resolve(__dirname, 'storinfo.records.json');
+
+    fs.writeFileSync(config, JSON.stringify({
+        storage: {
+            multiDC: true,
+            maxUtilizationPct: 85,
+            maxUtilizationPctByDc: { 'us-east-2': 97 }
+        }
+    }));
+
+    forkExecWait({
+        argv: [ MCHOOSE, 'choose', '-c', config, '-f', records, '--explain' ]
+    }, function (err, info) {
+        t.ifError(err, err);
+
+        var lines = info.stdout.split('\n');
+        var header = lines.filter(function (l) {
+            return (/^DATACENTER /.test(l));
+        })[0].split(/ +/);
+        var column = header.indexOf('MAX_%USED');
+        t.ok(column !== -1, 'MAX_%USED column');
+
+        var thresholds = {};
+        lines.forEach(function (l) {
+            var fields = l.split(/ +/);
+            if (/^us-east-\d$/.test(fields[0])) {
+                thresholds[fields[0]] = fields[column];
+            }
+        });
+        t.deepEqual(thresholds, {
+            'us-east-1': '85',
+            'us-east-2': '97',
+            'us-east-3': '85'
+        }, 'per-datacenter thresholds');
+
+        fs.unlinkSync(config);
+        t.end();
+    });
+});
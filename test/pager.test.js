@@ -0,0 +1,132 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+const restify = require('restify-clients');
+const test = require('tap').test;
+
+const mod_pager = require('../lib/pager.js');
+
+const helpers = require('./helpers.js');
+
+const LOG = helpers.LOG;
+const ids = helpers.ids;
+
+// /--- Helpers
+
+/*
+ * Starts a mock Storinfo server and invokes `callback(server, http, done)`,
+ * where `http` is a JSON client for it.
+ */
+function withServer(t, callback) {
+    helpers.withServer(t, {}, function (url) {
+        return (restify.createJsonClient({
+            url: url,
+            log: LOG,
+            retry: false
+        }));
+    }, callback);
+}
+
+// /--- Tests
+
+test('parseLinkHeader', function (t) {
+    var parse = mod_pager.parseLinkHeader;
+
+    t.deepEqual(parse(
+        '</storagenodes?after_id=3.stor.us-east.joyent.us&limit=2>; ' +
+        'rel="next"'), [ {
+        uri: '/storagenodes?after_id=3.stor.us-east.joyent.us&limit=2',
+        params: { rel: 'next' },
+        rels: [ 'next' ]
+    } ], 'storinfo link');
+
+    var links = parse('<https://example.com/a?x=1,2>; rel="prev", ' +
+        '<https://example.com/b>; REL="Next Last"; title="a; b, c"; ' +
+        'rel=ignored, garbage; rel=next, </c>;rel=next');
+    t.equal(links.length, 3, 'malformed link skipped');
+    t.equal(links[0].uri, 'https://example.com/a?x=1,2', 'comma in uri');
+    t.deepEqual(links[1].rels, [ 'next', 'last' ], 'multiple relations');
+    t.equal(links[1].params.title, 'a; b, c', 'quoted parameter');
+    t.equal(links[1].params.rel, 'Next Last', 'first rel wins');
+    t.deepEqual(links[2], { uri: '/c', params: { rel: 'next' },
+        rels: [ 'next' ] }, 'unquoted rel');
+
+    t.deepEqual(parse(''), [], 'empty header');
+    t.deepEqual(parse('<a>; title="say \\"hi\\""')[0].params.title,
+        'say "hi"', 'escaped quotes');
+    t.end();
+});
+
+test('StorageNodeStream', function (t) {
+    withServer(t, function (server, http, done) {
+        var records = [];
+        var s = new mod_pager.StorageNodeStream(http, { limit: 5, log: LOG });
+
+        s.on('data', function (record) {
+            records.push(record);
+        }).on('end', function () {
+            t.deepEqual(ids(records), ids(server.records), 'all records');
+            t.equal(server.requests, 3, 'pages followed');
+            t.equal(s.pageCount, 3, 'pageCount');
+            done();
+        });
+    });
+});
+
+test('StorageNodeStream abort', function (t) {
+    withServer(t, function (server, http, done) {
+        var controller = helpers.createAbortController();
+        var records = [];
+        var s = new mod_pager.StorageNodeStream(http, {
+            limit: 2,
+            signal: controller.signal,
+            log: LOG
+        });
+
+        s.on('data', function (record) {
+            records.push(record);
+            if (records.length === 2) {
+                controller.abort();
+            }
+        }).on('end', function () {
+            t.fail('stream should have been aborted');
+        }).on('error', function (err) {
+            t.equal(err.name, 'AbortError', 'AbortError');
+            t.deepEqual(ids(records), ids(server.records.slice(0, 2)),
+                'records before abort');
+            t.ok(server.requests <= 2, 'remaining pages not requested');
+            done();
+        });
+    });
+});
+
+test('StorageNodeStream repeated link', function (t) {
+    var requests = 0;
+    var http = {
+        get: function (_, cb) {
+            requests++;
+            setImmediate(cb, null, null, {
+                headers: {
+                    link: '</storagenodes?after_id=a&limit=1>; rel="next"'
+                }
+            }, [ { manta_storage_id: 'a' } ]);
+        }
+    };
+    var s = new mod_pager.StorageNodeStream(http, { log: LOG });
+
+    s.resume().on('end', function () {
+        t.fail('stream should have failed');
+    }).on('error', function (err) {
+        t.ok(/already fetched \(after_id "a"\)/.test(err.message),
+            'repeated link');
+        t.equal(requests, 2, 'page fetched only once');
+        t.end();
+    });
+});
@@ -0,0 +1,269 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+const test = require('tap').test;
+
+const mod_storinfo = require('../lib/client.js');
+
+const helpers = require('./helpers.js');
+
+const LOG = helpers.LOG;
+const ids = helpers.ids;
+
+// /--- Helpers
+
+/*
+ * Starts a mock Storinfo server with the given options, creates a client for
+ * it and invokes `callback(server, client, done)`, where `done` stops them
+ * both and ends the test.
+ */
+function withServer(t, serverOpts, clientOpts, callback) {
+    helpers.withServer(t, serverOpts, function (url) {
+        return (mod_storinfo.createClient(Object.assign({
+            log: LOG,
+            url: url,
+            cueballOpts: {
+                spares: 1,
+                maximum: 2,
+                recovery: {
+                    default: {
+                        timeout: 1000,
+                        retries: 1,
+                        delay: 100
+                    }
+                }
+            },
+            standalone: false
+        }, clientOpts)));
+    }, callback);
+}
+
+// /--- Tests
+
+test('getStorageNodes', function (t) {
+    withServer(t, {}, {}, function (server, client, done) {
+        client.getStorageNodes({}, function (err, records) {
+            t.ifError(err, 'getStorageNodes');
+            t.equal(records.length, 12, 'all records returned');
+            t.deepEqual(ids(records), ids(server.records),
+                'sorted by manta_storage_id');
+            t.equal(records.filter(function (r) {
+                return (r.datacenter === 'us-east-2');
+            }).length, 4, 'datacenter defaults from records file');
+            done();
+        });
+    });
+});
+
+test('getStorageNodes pagination', function (t) {
+    withServer(t, {}, {}, function (server, client, done) {
+        client.getStorageNodes({ opts: { limit: 5 } }, function (err, res) {
+            t.ifError(err, 'getStorageNodes');
+            t.deepEqual(ids(res), ids(server.records), 'all pages returned');
+            t.equal(server.requests, 3, 'three pages requested');
+            done();
+        });
+    });
+});
+
+test('getStorageNode', function (t) {
+    withServer(t, {}, {}, function (server, client, done) {
+        var id = server.records[3].manta_storage_id;
+
+        client.getStorageNode(id, function (err, record) {
+            t.ifError(err, 'getStorageNode');
+            t.deepEqual(record, server.records[3], 'record returned');
+
+            client.getStorageNode('nope', function (err2) {
+                t.ok(err2, 'unknown storage node');
+                t.equal(err2.statusCode, 404, 'statusCode');
+                t.equal(err2.body.code, 'ResourceNotFound', 'code');
+                done();
+            });
+        });
+    });
+});
+
+test('injected failures and latency', function (t) {
+    var serverOpts = { failures: 1, statusCode: 500 };
+
+    withServer(t, serverOpts, {}, function (server, client, done) {
+        client.getStorageNodes({}, function (err) {
+            t.ok(err, 'injected failure');
+            t.equal(err.statusCode, 500, 'statusCode');
+
+            server.inject({ latencyMs: 100 });
+            var start = Date.now();
+            client.getStorageNodes({}, function (err2, records) {
+                t.ifError(err2, 'getStorageNodes');
+                t.equal(records.length, 12, 'records returned');
+                t.ok(Date.now() - start >= 100, 'latency injected');
+
+                server.inject({ latencyMs: 0, errorRate: 1 });
+                client.getStorageNodes({}, function (err3) {
+                    t.equal(err3 && err3.statusCode, 500, 'errorRate');
+                    done();
+                });
+            });
+        });
+    });
+});
+
+test('polling', function (t) {
+    var clientOpts = { pollInterval: 10, maxPollBackoffMs: 20, multiDC: true };
+
+    withServer(t, { failures: 2 }, clientOpts, function (_, client, done) {
+        var pollErrors = 0;
+
+        client.on('pollError', function (err) {
+            t.equal(err.statusCode, 503, 'pollError');
+            pollErrors++;
+        });
+
+        client.ready({ timeout: 5000 }, function (err) {
+            t.ifError(err, 'ready');
+            t.equal(pollErrors, 2, 'recovered from failures');
+            t.equal(client.getHealth().consecutiveFailures, 0,
+                'consecutiveFailures reset');
+            t.deepEqual(client.datacenters.sort(),
+                [ 'us-east-1', 'us-east-2', 'us-east-3' ], 'datacenters');
+
+            client.choose({ size: 1 }, function (err2, sharks) {
+                t.ifError(err2, 'choose');
+                t.equal(sharks.length, 3, 'tuples chosen');
+                done();
+            });
+        });
+    });
+});
+
+test('listStorageNodes', function (t) {
+    withServer(t, {}, { pageSize: 5 }, function (server, client, done) {
+        var records = [];
+        var args = { opts: { after_id: server.records[0].manta_storage_id } };
+
+        client.getStorageNodes(args, function (err, res) {
+            t.ifError(err, 'getStorageNodes');
+            t.deepEqual(ids(res), ids(server.records.slice(1)),
+                'records after after_id');
+            t.deepEqual(args, {
+                opts: { after_id: server.records[0].manta_storage_id }
+            }, 'args not modified');
+
+            server.requests = 0;
+            client.listStorageNodes().on('data', function (record) {
+                records.push(record);
+            }).on('end', function () {
+                t.deepEqual(ids(records), ids(server.records), 'records');
+                t.equal(server.requests, 3, 'pages of pageSize requested');
+
+                var pages = [];
+                var opts = { limit: 8, pages: true };
+                client.listStorageNodes(opts).on('data', function (page) {
+                    pages.push(page.length);
+                }).on('end', function () {
+                    t.deepEqual(pages, [ 8, 4 ], 'pages');
+                    done();
+                });
+            });
+        });
+    });
+});
+
+test('listStorageNodes async iteration and abort', function (t) {
+    withServer(t, {}, {}, function (server, client, done) {
+        var controller = helpers.createAbortController();
+        var records = [];
+        var s = client.listStorageNodes({
+            limit: 2,
+            signal: controller.signal
+        });
+        var iter = s[global.Symbol.asyncIterator]();
+
+        function next() {
+            iter.next().then(function (result) {
+                if (result.done) {
+                    t.fail('stream should have been aborted');
+                    done();
+                    return;
+                }
+
+                records.push(result.value);
+                if (records.length === 3) {
+                    controller.abort();
+                }
+                next();
+            }, function (err) {
+                t.equal(err.name, 'AbortError', 'AbortError');
+                t.deepEqual(ids(records), ids(server.records.slice(0, 3)),
+                    'records before abort');
+                t.ok(server.requests <= 3, 'remaining pages not requested');
+                done();
+            });
+        }
+
+        next();
+    });
+});
+
+test('listStorageNodes errors', function (t) {
+    withServer(t, { failures: 1 }, {}, function (_, client, done) {
+        client.listStorageNodes().on('data', function () {
+            t.fail('no records expected');
+        }).on('error', function (err) {
+            t.equal(err.statusCode, 503, 'request error');
+            done();
+        });
+    });
+});
+
+test('promise API', function (t) {
+    withServer(t, {}, {}, function (server, client, done) {
+        var id = server.records[0].manta_storage_id;
+
+        client.getStorageNodes().then(function (records) {
+            t.deepEqual(ids(records), ids(server.records), 'getStorageNodes');
+            return (client.getStorageNodes({ opts: { limit: 5 } }));
+        }).then(function (records) {
+            t.equal(records.length, 12, 'getStorageNodes with args');
+            return (client.getStorageNode(id));
+        }).then(function (record) {
+            t.deepEqual(record, server.records[0], 'getStorageNode');
+            return (client.getStorageNode('nope'));
+        }).then(function () {
+            t.fail('getStorageNode should fail');
+        }, function (err) {
+            t.equal(err.statusCode, 404, 'rejected with the request error');
+        }).then(done);
+    });
+});
+
+test('reconfigure pollInterval', function (t) {
+    withServer(t, {}, {}, function (server, client, done) {
+        var topologies = 0;
+
+        client.on('topology', function () {
+            topologies++;
+        });
+
+        client.reconfigure({ pollInterval: 10 });
+        client.ready({ timeout: 5000 }, function (err) {
+            t.ifError(err, 'polling started');
+
+            client.reconfigure({ pollInterval: 60000 });
+            var polls = server.requests;
+            setTimeout(function () {
+                t.ok(server.requests <= polls + 1, 'interval increased');
+                t.ok(topologies >= 2, 'topology rebuilt');
+                done();
+            }, 100);
+        });
+    });
+});
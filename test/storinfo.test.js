@@ -9,11 +9,14 @@
  */
 
 const assert = require('assert-plus');
+const bunyan = require('bunyan');
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
 
 const test = require('tap').test;
 
+const mod_health = require('../lib/health.js');
 const mod_storinfo = require('../lib/client.js');
 
 // /--- Constants
@@ -23,7 +26,44 @@ const DEF_MAX_STREAMING_SIZE_MB = 5120;
 const DEF_MAX_PERCENT_UTIL = 90;
 
 
-// /--- Tests
+// /--- Helpers
+
+/*
+ * Creates a client with the given options, which logs at LOG_LEVEL (by
+ * default, only fatal errors).
+ */
+function createTestClient(opts) {
+    return (mod_storinfo.createClient(Object.assign({
+        log: bunyan.createLogger({
+            level: process.env.LOG_LEVEL || 'fatal',
+            name: 'storinfo_test',
+            stream: process.stdout
+        })
+    }, opts)));
+}
+
+/*
+ * Creates a client which polls every 10ms.  Its Storinfo service can't be
+ * reached, so tests replace its getStorageNodes() method.
+ */
+function createPollingClient(opts) {
+    return (createTestClient(Object.assign({
+        url: 'http://127.0.0.1:1',
+        cueballOpts: {
+            spares: 1,
+            maximum: 1,
+            recovery: {
+                default: {
+                    timeout: 1000,
+                    retries: 1,
+                    delay: 100
+                }
+            }
+        },
+        pollInterval: 10,
+        standalone: false
+    }, opts)));
+}
 
 /**
  * Sum values in array
@@ -115,6 +155,9 @@ function probablyNormal(kvs) {
     return ((outliers.length / values.length) < (1 - THREE_SIGMA));
 }
 
+
+// /--- Tests
+
 test('storinfo records', function (t) {
     // report vars (see report below)
     var min = Infinity;
@@ -227,3 +270,1854 @@ test('storinfo records', function (t) {
     }
 
 });
+
+test('weighted shark selection', function (t) {
+    var N = 2000;
+    var db = {
+        'us-east-1': [
+            {
+                manta_storage_id: '1.stor.us-east.joyent.us',
+                availableMB: 1000,
+                percentUsed: 85,
+                datacenter: 'us-east-1'
+            },
+            {
+                manta_storage_id: '2.stor.us-east.joyent.us',
+                availableMB: 9000,
+                percentUsed: 10,
+                datacenter: 'us-east-1'
+            }
+        ]
+    };
+
+    /*
+     * The client is seeded so that the proportions checked below are the same
+     * on every run.
+     */
+    var storinfo = createTestClient({
+        multiDC: false,
+        selection: 'availableMB',
+        seed: 'weighted shark selection',
+        standalone: true
+    });
+
+    storinfo.loadStorageNodes(db);
+
+    function countPrimaries(selection) {
+        var counts = {};
+        var chooseOpts = {
+            replicas: 1,
+            size: 1048576,
+            selection: selection
+        };
+
+        for (var i = 0; i < N; i++) {
+            storinfo.choose(chooseOpts, function onChosen(err, sharks) {
+                assert.ifError(err);
+                var id = sharks[0][0].manta_storage_id;
+                counts[id] = (counts[id] || 0) + 1;
+            });
+        }
+
+        return (counts['2.stor.us-east.joyent.us'] / N);
+    }
+
+    /*
+     * The emptier shark has 90% of the free space and 75 of the 80 points of
+     * headroom below the 90% utilization threshold, so it should get the vast
+     * majority of the primary placements in either weighted mode.  Uniform
+     * selection should split them roughly evenly.
+     */
+    t.ok(countPrimaries(undefined) > 0.8, 'client default (availableMB)');
+    t.ok(countPrimaries('availableMB') > 0.8, 'availableMB weighting');
+    t.ok(countPrimaries('headroom') > 0.85, 'headroom weighting');
+
+    var uniform = countPrimaries('uniform');
+    t.ok(uniform > 0.4 && uniform < 0.6, 'uniform selection');
+
+    storinfo.close();
+    t.end();
+});
+
+test('weighted datacenter selection', function (t) {
+    var N = 2000;
+    var records = [];
+    var i;
+
+    /*
+     * us-east-1 has eight storage nodes with 1000 MB each, and us-east-2 has
+     * two with 6000 MB each.
+     */
+    for (i = 0; i < 10; i++) {
+        records.push({
+            manta_storage_id: (i + 1) + '.stor.us-east.joyent.us',
+            datacenter: i < 8 ? 'us-east-1' : 'us-east-2',
+            availableMB: i < 8 ? 1000 : 6000,
+            percentUsed: 10
+        });
+    }
+
+    var storinfo = createTestClient({
+        multiDC: true,
+        dcSelection: 'storageNodes',
+        seed: 'dcSelection',
+        standalone: true
+    });
+
+    storinfo.loadStorageNodes(records);
+
+    function countFirst(dcSelection) {
+        var first = 0;
+        var weights;
+        var chooseOpts = {
+            replicas: 2,
+            size: 1048576,
+            dcSelection: dcSelection
+        };
+
+        function onChosen(err, sharks, stats) {
+            assert.ifError(err);
+            sharks.forEach(function (tuple) {
+                assert.notEqual(tuple[0].datacenter, tuple[1].datacenter,
+                    'copies spread across datacenters');
+            });
+            if (sharks[0][0].datacenter === 'us-east-1') {
+                first++;
+            }
+            weights = stats.dcWeights;
+        }
+
+        for (var j = 0; j < N; j++) {
+            storinfo.choose(chooseOpts, onChosen);
+        }
+
+        return ({ first: first / N, weights: weights });
+    }
+
+    var result = countFirst(undefined);
+    t.deepEqual(result.weights, { 'us-east-1': 0.8, 'us-east-2': 0.2 },
+        'client default (storageNodes)');
+    t.ok(Math.abs(result.first - 0.8) < 0.05, 'first copies by storage nodes');
+
+    result = countFirst('availableMB');
+    t.equal(result.weights['us-east-1'], 0.4, 'availableMB weights');
+    t.ok(Math.abs(result.first - 0.4) < 0.05, 'first copies by availableMB');
+
+    result = countFirst('roundRobin');
+    t.deepEqual(result.weights, { 'us-east-1': 0.5, 'us-east-2': 0.5 },
+        'roundRobin weights');
+    t.ok(Math.abs(result.first - 0.5) < 0.05, 'first copies evenly spread');
+
+    t.throws(function () {
+        storinfo.choose({ dcSelection: 'nope' }, function () {});
+    }, /dcSelection/, 'bad dcSelection');
+
+    storinfo.close();
+    t.end();
+});
+
+test('choose exclusions', function (t) {
+    var file = path.join(__dirname, 'storinfo.records.json');
+    var db = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+    var storinfo = createTestClient({
+        multiDC: true,
+        standalone: true
+    });
+
+    storinfo.loadStorageNodes(db);
+
+    var excludedIds = db['us-east-1'].slice(1).map(function (s) {
+        return (s.manta_storage_id);
+    });
+    var chooseOpts = {
+        replicas: 2,
+        exclude: {
+            manta_storage_ids: excludedIds,
+            datacenters: [ 'us-east-2' ]
+        }
+    };
+
+    for (var i = 0; i < 100; i++) {
+        storinfo.choose(chooseOpts, function onChosen(err, sharks) {
+            t.ifError(err);
+            sharks.forEach(function (tuple) {
+                tuple.forEach(function (s) {
+                    assert.ok(s.datacenter !== 'us-east-2',
+                        'excluded DC chosen');
+                    assert.ok(excludedIds.indexOf(s.manta_storage_id) === -1,
+                        'excluded storage node chosen');
+                });
+            });
+        });
+    }
+    t.pass('excluded DCs and storage nodes never chosen');
+
+    chooseOpts.exclude.datacenters.push('us-east-3');
+    storinfo.choose(chooseOpts, function onChosen(err, sharks) {
+        t.ok(err, 'error when exclusions leave too few DCs');
+        t.equal(sharks, null, 'no sharks');
+        t.ok(/excluded 2 DC\(s\) and 3 storage node\(s\)/.test(err.message),
+            'cause reports exclusions: ' + err.message);
+
+        storinfo.close();
+        t.end();
+    });
+});
+
+test('choose additional copies', function (t) {
+    var file = path.join(__dirname, 'storinfo.records.json');
+    var db = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+    var storinfo = createTestClient({
+        multiDC: true,
+        standalone: true
+    });
+
+    storinfo.loadStorageNodes(db);
+
+    var existing = [
+        {
+            datacenter: 'us-east-1',
+            manta_storage_id: db['us-east-1'][0].manta_storage_id
+        },
+        {
+            datacenter: 'us-east-2',
+            manta_storage_id: db['us-east-2'][0].manta_storage_id
+        }
+    ];
+
+    for (var i = 0; i < 100; i++) {
+        storinfo.choose({
+            replicas: 1,
+            existing: existing
+        }, function onChosen(err, sharks) {
+            t.ifError(err);
+            sharks.forEach(function (tuple) {
+                assert.equal(tuple.length, 1, 'one additional copy');
+                assert.equal(tuple[0].datacenter, 'us-east-3',
+                    'DC without a copy preferred');
+            });
+        });
+    }
+    t.pass('additional copies placed in DC without a copy');
+
+    storinfo.choose({
+        replicas: 2,
+        existing: existing
+    }, function onChosen(err, sharks) {
+        t.ifError(err);
+        sharks.forEach(function (tuple) {
+            tuple.forEach(function (s) {
+                var reused = existing.some(function (e) {
+                    return (e.manta_storage_id === s.manta_storage_id);
+                });
+                t.notOk(reused, 'existing copies not reused');
+            });
+        });
+    });
+
+    /*
+     * If the only DC with space for another copy already holds the only
+     * existing copy, we can't spread the copies across DCs.
+     */
+    storinfo.choose({
+        replicas: 1,
+        existing: existing.slice(0, 1),
+        exclude: {
+            datacenters: [ 'us-east-2', 'us-east-3' ]
+        }
+    }, function onChosen(err, sharks) {
+        t.ok(err, 'error when copies cannot be spread');
+        t.equal(sharks, null, 'no sharks');
+        t.ok(/the 1 existing copies are in us-east-1 /.test(err.message),
+            'cause reports existing copies: ' + err.message);
+    });
+
+    /*
+     * Existing copies in two DCs, but not enough DCs for minDatacenters.
+     */
+    storinfo.choose({
+        replicas: 2,
+        existing: existing,
+        minDatacenters: 4,
+        exclude: {
+            datacenters: [ 'us-east-3' ]
+        }
+    }, function onChosen(err) {
+        var re = /the 2 existing copies are in us-east-1, us-east-2 /;
+
+        t.ok(err, 'error when copies cannot be spread');
+        t.ok(re.test(err.message), 'cause names the DCs: ' + err.message);
+    });
+
+    /*
+     * Existing copies in two DCs already satisfy the spread requirement.
+     */
+    storinfo.choose({
+        replicas: 1,
+        existing: existing,
+        exclude: {
+            datacenters: [ 'us-east-2', 'us-east-3' ]
+        }
+    }, function onChosen(err, sharks) {
+        t.ifError(err);
+        t.equal(sharks[0][0].datacenter, 'us-east-1', 'copy in us-east-1');
+
+        storinfo.close();
+        t.end();
+    });
+});
+
+test('choose erasure coded shards', function (t) {
+    var file = path.join(__dirname, 'storinfo.records.json');
+    var db = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+    var storinfo = createTestClient({
+        multiDC: true,
+        standalone: true
+    });
+
+    storinfo.loadStorageNodes(db);
+
+    /*
+     * No storage node has room for a full copy of this object, but they all
+     * have room for a quarter of it.
+     */
+    var size = 200000000 * 1048576;
+
+    storinfo.choose({ size: size }, function onChosen(err) {
+        t.ok(err, 'replicated object does not fit');
+    });
+
+    storinfo.choose({
+        size: size,
+        erasure: { k: 4, m: 2 }
+    }, function onChosen(err, sharks) {
+        t.ifError(err);
+        t.ok(sharks.length >= 1, 'at least one tuple');
+
+        var seen = {};
+        sharks.forEach(function (tuple) {
+            var perDc = {};
+            t.equal(tuple.length, 6, 'one storage node per shard');
+            tuple.forEach(function (s) {
+                t.notOk(seen[s.manta_storage_id], 'distinct storage nodes');
+                seen[s.manta_storage_id] = true;
+                perDc[s.datacenter] = (perDc[s.datacenter] || 0) + 1;
+            });
+            Object.keys(perDc).forEach(function (dc) {
+                t.ok(perDc[dc] <= 2, 'at most m shards in ' + dc);
+            });
+        });
+    });
+
+    storinfo.choose({
+        size: size,
+        erasure: { k: 6, m: 2 }
+    }, function onChosen(err, sharks) {
+        t.ok(err, 'error when shards cannot be spread');
+        t.equal(sharks, null, 'no sharks');
+        t.ok(/6\+2 erasure coding requires 8 storage nodes/.test(err.message),
+            'cause is erasure coding specific: ' + err.message);
+    });
+
+    storinfo.choose({
+        size: size,
+        erasure: { k: 6, m: 2, maxShardsPerDc: 3 }
+    }, function onChosen(err, sharks) {
+        t.ifError(err);
+        t.equal(sharks[0].length, 8, 'one storage node per shard');
+
+        storinfo.close();
+        t.end();
+    });
+});
+
+test('choose across fault domains', function (t) {
+    function record(id, rack, server) {
+        return ({
+            manta_storage_id: id + '.stor.us-east.joyent.us',
+            availableMB: 1000000,
+            percentUsed: 10,
+            datacenter: 'us-east-1',
+            rack: rack,
+            server_uuid: server
+        });
+    }
+
+    var db = {
+        'us-east-1': [
+            record(1, 'r1', 's1'),
+            record(2, 'r1', 's1'),
+            record(3, 'r1', 's2'),
+            record(4, 'r2', 's3')
+        ]
+    };
+
+    var storinfo = createTestClient({
+        faultDomains: [ 'rack', 'server_uuid' ],
+        multiDC: false,
+        standalone: true
+    });
+
+    storinfo.loadStorageNodes(db);
+
+    var byId = {};
+    db['us-east-1'].forEach(function (r) {
+        byId[r.manta_storage_id] = r;
+    });
+
+    function distinct(tuple, key) {
+        return (tuple.map(function (s) {
+            return (byId[s.manta_storage_id][key]);
+        }).filter(function (v, i, arr) {
+            return (arr.indexOf(v) === i);
+        }).length);
+    }
+
+    /*
+     * The primary tuple should use the narrowest fault domain available: both
+     * racks for two replicas, and three different servers for three.  With
+     * only one storage node in r2, the fallback tuples can't all be spread.
+     */
+    for (var i = 0; i < 20; i++) {
+        storinfo.choose({ replicas: 2 }, function onChosen(err, sharks) {
+            t.ifError(err);
+            t.equal(distinct(sharks[0], 'rack'), 2,
+                'replicas spread across racks');
+        });
+
+        storinfo.choose({ replicas: 3 }, function onChosen(err, sharks) {
+            t.ifError(err);
+            t.equal(distinct(sharks[0], 'rack'), 2,
+                'replicas spread across racks');
+            t.equal(distinct(sharks[0], 'server_uuid'), 3,
+                'replicas spread across servers within a rack');
+        });
+    }
+
+    storinfo.choose({ replicas: 4 }, function onChosen(err, sharks) {
+        t.ifError(err);
+        t.equal(sharks[0].length, 4, 'fault domains are not a hard limit');
+
+        storinfo.close();
+        t.end();
+    });
+});
+
+test('seeded choose', function (t) {
+    var file = path.join(__dirname, 'storinfo.records.json');
+    var db = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+    function createClient(seed) {
+        var client = createTestClient({
+            multiDC: true,
+            seed: seed,
+            standalone: true
+        });
+
+        client.loadStorageNodes(db);
+        return (client);
+    }
+
+    function chooseMany(client, count, opts) {
+        var results = [];
+        for (var i = 0; i < count; i++) {
+            client.choose(opts || {}, function onChosen(err, sharks) {
+                assert.ifError(err);
+                results.push(sharks);
+            });
+        }
+        return (results);
+    }
+
+    var a = createClient('abc');
+    var b = createClient('abc');
+    var c = createClient('xyz');
+    var unseeded = createClient();
+
+    t.deepEqual(chooseMany(a, 20), chooseMany(b, 20),
+        'clients with the same seed make the same choices');
+    t.notSame(chooseMany(a, 20), chooseMany(c, 20),
+        'clients with different seeds make different choices');
+
+    var first = chooseMany(unseeded, 1, { seed: 42, replicas: 3 });
+    chooseMany(unseeded, 5);
+    var second = chooseMany(unseeded, 1, { seed: 42, replicas: 3 });
+    t.deepEqual(first, second,
+        'per-request seed is independent of earlier requests');
+    t.deepEqual(chooseMany(a, 1, { seed: 42, replicas: 3 }), first,
+        'per-request seed overrides client seed');
+
+    [a, b, c, unseeded].forEach(function (client) {
+        client.close();
+    });
+    t.end();
+});
+
+test('stale storage records', function (t) {
+    var storinfo = createPollingClient({
+        maxRecordAgeMs: 60000
+    });
+
+    var polls = 0;
+    var events = [];
+
+    /*
+     * The first poll returns a stale record for 1.stor, and the second poll
+     * returns a fresh one.
+     */
+    storinfo.getStorageNodes = function (_, cb) {
+        var age = ++polls === 1 ? 120000 : 0;
+        cb(null, [
+            {
+                manta_storage_id: '1.stor.us-east.joyent.us',
+                datacenter: 'us-east-1',
+                availableMB: 1000,
+                percentUsed: 10,
+                timestamp: Date.now() - age
+            },
+            {
+                manta_storage_id: '2.stor.us-east.joyent.us',
+                datacenter: 'us-east-1',
+                availableMB: 1000,
+                percentUsed: 10,
+                timestamp: Date.now()
+            }
+        ]);
+    };
+
+    storinfo.on('nodeStale', function (r) {
+        events.push('stale ' + r.manta_storage_id);
+    });
+    storinfo.on('nodeRecovered', function (r) {
+        events.push('recovered ' + r.manta_storage_id);
+    });
+
+    var topologies = 0;
+    storinfo.on('topology', function onTopology(maps) {
+        var ids = maps[0]['us-east-1'].map(function (s) {
+            return (s.manta_storage_id);
+        });
+
+        if (++topologies === 1) {
+            t.deepEqual(ids, [ '2.stor.us-east.joyent.us' ],
+                'stale record left out');
+            t.deepEqual(maps[1]['us-east-1'].length, 1,
+                'stale record left out of operator map');
+            t.deepEqual(Object.keys(storinfo.staleNodes),
+                [ '1.stor.us-east.joyent.us' ], 'staleNodes');
+            t.deepEqual(events, [ 'stale 1.stor.us-east.joyent.us' ],
+                'nodeStale emitted');
+            return;
+        }
+
+        t.equal(ids.length, 2, 'recovered record used');
+        t.deepEqual(storinfo.staleNodes, {}, 'no stale nodes');
+        t.deepEqual(events, [
+            'stale 1.stor.us-east.joyent.us',
+            'recovered 1.stor.us-east.joyent.us'
+        ], 'nodeRecovered emitted');
+
+        storinfo.removeListener('topology', onTopology);
+        storinfo.close();
+        t.end();
+    });
+});
+
+test('loadStorageNodes', function (t) {
+    var storinfo = createTestClient({
+        maxUtilizationPct: 80,
+        standalone: true
+    });
+
+    var records = [
+        {
+            manta_storage_id: '1.stor.us-east.joyent.us',
+            datacenter: 'us-east-1',
+            availableMB: 3000,
+            percentUsed: 10
+        },
+        {
+            manta_storage_id: '2.stor.us-east.joyent.us',
+            datacenter: 'us-east-1',
+            availableMB: 1000,
+            percentUsed: 85
+        },
+        {
+            manta_storage_id: '3.stor.us-east.joyent.us',
+            datacenter: 'us-east-2',
+            availableMB: 2000,
+            percentUsed: 90
+        }
+    ];
+
+    function ids(map, dc) {
+        return ((map[dc] || []).map(function (s) {
+            return (s.manta_storage_id);
+        }));
+    }
+
+    var topologies = 0;
+    storinfo.on('topology', function () {
+        topologies++;
+    });
+
+    storinfo.loadStorageNodes(records);
+    storinfo.loadStorageNodes(records);
+
+    t.equal(topologies, 2, 'topology event emitted');
+    t.equal(storinfo.getHealth().topologyGeneration, 1,
+        'same records keep the generation');
+    t.deepEqual(storinfo.datacenters, [ 'us-east-1' ], 'normal DCs');
+    t.deepEqual(storinfo.operatorDatacenters, [ 'us-east-1', 'us-east-2' ],
+        'operator DCs');
+    t.deepEqual(ids(storinfo.dcSharkMap, 'us-east-1'),
+        [ '1.stor.us-east.joyent.us' ],
+        'sharks above maxUtilizationPct left out of normal map');
+    t.deepEqual(ids(storinfo.operatorDcSharkMap, 'us-east-1'),
+        [ '2.stor.us-east.joyent.us', '1.stor.us-east.joyent.us' ],
+        'operator map sorted by availableMB');
+
+    /*
+     * Records grouped by datacenter, as printed by `mchoose poll -j`.
+     */
+    storinfo.loadStorageNodes({
+        'us-east-3': [
+            {
+                manta_storage_id: '4.stor.us-east.joyent.us',
+                availableMB: 1000
+            }
+        ]
+    });
+
+    t.equal(topologies, 3, 'topology event emitted');
+    t.equal(storinfo.getHealth().topologyGeneration, 2, 'new generation');
+    t.deepEqual(storinfo.datacenters, [ 'us-east-3' ], 'topology replaced');
+    t.equal(storinfo.dcSharkMap['us-east-3'][0].datacenter, 'us-east-3',
+        'datacenter defaults to the group');
+
+    storinfo.choose({
+        replicas: 1,
+        size: 1048576
+    }, function (err, sharks) {
+        t.ifError(err);
+        t.equal(sharks[0][0].manta_storage_id, '4.stor.us-east.joyent.us',
+            'loaded storage node chosen');
+        storinfo.close();
+        t.end();
+    });
+});
+
+test('storinfo records loaded with loadStorageNodes', function (t) {
+    var file = path.join(__dirname, 'storinfo.records.json');
+    var db = JSON.parse(fs.readFileSync(file, 'utf8'));
+    var storinfo = createTestClient({
+        defaultMaxStreamingSizeMB: DEF_MAX_STREAMING_SIZE_MB,
+        maxUtilizationPct: DEF_MAX_PERCENT_UTIL,
+        multiDC: true,
+        seed: 'storinfo records',
+        standalone: true
+    });
+    var used = {};
+
+    storinfo.loadStorageNodes(db);
+
+    t.deepEqual(storinfo.datacenters, Object.keys(db).sort(),
+        'all datacenters loaded');
+    Object.keys(db).forEach(function (dc) {
+        t.equal(storinfo.dcSharkMap[dc].length, db[dc].length,
+            dc + ' storage nodes loaded');
+    });
+
+    for (var i = 0; i < 100; i++) {
+        storinfo.choose({}, function onChosen(err, sharks) {
+            t.ifError(err);
+            t.notEqual(sharks[0][0].datacenter, sharks[0][1].datacenter,
+                'replicas in different datacenters');
+            sharks[0].forEach(function (s) {
+                used[s.manta_storage_id] = true;
+            });
+        });
+    }
+
+    t.equal(Object.keys(used).length, 12, 'every storage node used');
+    storinfo.close();
+    t.end();
+});
+
+test('ready and NoTopologyError', function (t) {
+    var storinfo = createTestClient({
+        standalone: true
+    });
+
+    var records = [ {
+        manta_storage_id: '1.stor.us-east.joyent.us',
+        datacenter: 'us-east-1',
+        availableMB: 10000,
+        percentUsed: 10
+    } ];
+
+    storinfo.choose({ replicas: 1 }, function (err, sharks) {
+        t.ok(err, 'choose fails before a topology is loaded');
+        t.equal(err.name, 'NoTopologyError', 'error name');
+        t.equal(sharks, null, 'no sharks');
+    });
+
+    storinfo.ready({ timeout: 10 }, function (err) {
+        t.ok(err, 'ready times out');
+        t.equal(err.name, 'NoTopologyError', 'error name');
+        t.ok(/within 10 ms/.test(err.message), 'message: ' + err.message);
+
+        storinfo.ready(function (err2) {
+            t.ifError(err2, 'ready once a topology is loaded');
+
+            storinfo.ready({ timeout: 10 }, function (err3) {
+                t.ifError(err3, 'ready when a topology is already loaded');
+                storinfo.close();
+                t.end();
+            });
+        });
+
+        setImmediate(function () {
+            storinfo.loadStorageNodes(records);
+        });
+    });
+});
+
+test('poll backoff and topology health', function (t) {
+    var storinfo = createPollingClient({
+        maxPollBackoffMs: 40,
+        maxTopologyAgeMs: 100,
+        refuseStaleTopology: true,
+        multiDC: false
+    });
+
+    var polls = 0;
+    var pollErrors = 0;
+    var times = [];
+
+    /*
+     * The first poll succeeds, and every one after that fails.
+     */
+    function record(n) {
+        return ({
+            manta_storage_id: n + '.stor.us-east.joyent.us',
+            datacenter: 'us-east-1',
+            availableMB: 1000,
+            percentUsed: 10,
+            timestamp: Date.now()
+        });
+    }
+
+    storinfo.getStorageNodes = function (_, cb) {
+        times.push(Date.now());
+        if (++polls > 1) {
+            cb(new Error('storinfo unavailable'));
+            return;
+        }
+        cb(null, [ record(1), record(2) ]);
+    };
+
+    storinfo.on('pollError', function (err) {
+        t.equal(err.message, 'storinfo unavailable', 'pollError event');
+        pollErrors++;
+    });
+
+    storinfo.once('topology', function () {
+        var health = storinfo.getHealth();
+        t.equal(health.consecutiveFailures, 0, 'no failures yet');
+        t.ok(health.lastPollSuccess instanceof Date, 'lastPollSuccess');
+        t.equal(health.stale, false, 'topology is fresh');
+
+        storinfo.choose({ size: 1 }, function (err, sharks) {
+            t.ifError(err, 'choose with fresh topology');
+            t.ok(sharks, 'sharks chosen');
+        });
+    });
+
+    storinfo.once('stale', function (health) {
+        storinfo.close();
+
+        t.ok(health.stale, 'stale');
+        t.ok(health.topologyAgeMs > 100, 'topologyAgeMs');
+        t.equal(health.consecutiveFailures, pollErrors, 'consecutiveFailures');
+        t.ok(health.lastPollFailure instanceof Date, 'lastPollFailure');
+        t.equal(health.lastPollError.message, 'storinfo unavailable',
+            'lastPollError');
+
+        var gaps = times.slice(1).map(function (time, i) {
+            return (time - times[i]);
+        });
+        t.ok(gaps.length >= 2, 'retried polls');
+        t.ok(gaps.every(function (gap) {
+            return (gap <= 40 + 20);
+        }), 'backoff capped at maxPollBackoffMs');
+
+        storinfo.choose({ size: 1 }, function (err) {
+            t.ok(err, 'choose with stale topology fails');
+            t.equal(err.name, 'StaleTopologyError', 'StaleTopologyError');
+            t.end();
+        });
+    });
+});
+
+test('stale topology while a poll hangs', function (t) {
+    var storinfo = createPollingClient({ maxTopologyAgeMs: 50 });
+    var polls = 0;
+
+    /*
+     * The client's timer doesn't keep the process running, and nor does a
+     * poll that never returns, so we need a timer of our own.
+     */
+    var timeout = setTimeout(function () {
+        storinfo.close();
+        t.fail('no stale event');
+        t.end();
+    }, 5000);
+
+    /*
+     * The first poll succeeds, and the second one never returns.
+     */
+    storinfo.getStorageNodes = function (_, cb) {
+        if (++polls > 1) {
+            return;
+        }
+        cb(null, [ {
+            manta_storage_id: '1.stor.us-east.joyent.us',
+            datacenter: 'us-east-1',
+            availableMB: 1000,
+            percentUsed: 10,
+            timestamp: Date.now()
+        } ]);
+    };
+
+    storinfo.on('pollError', function (err) {
+        t.ifError(err, 'no poll errors');
+    });
+
+    storinfo.once('stale', function (health) {
+        clearTimeout(timeout);
+        storinfo.close();
+
+        t.equal(polls, 2, 'second poll still in progress');
+        t.ok(health.stale, 'stale');
+        t.ok(health.topologyAgeMs > 50, 'topologyAgeMs');
+        t.equal(health.consecutiveFailures, 0, 'no failed polls');
+        t.end();
+    });
+});
+
+test('topology snapshots', function (t) {
+    var file = path.join(os.tmpdir(),
+        'storinfo-snapshot-' + process.pid + '.json');
+    var records = [ '1', '2' ].map(function (n) {
+        return ({
+            manta_storage_id: n + '.stor.us-east.joyent.us',
+            datacenter: 'us-east-1',
+            availableMB: 1000,
+            percentUsed: 10,
+            timestamp: Date.now()
+        });
+    });
+
+    function createClient(opts) {
+        return (createPollingClient(Object.assign({
+            multiDC: false,
+            snapshotFile: file
+        }, opts)));
+    }
+
+    function cleanup() {
+        try {
+            fs.unlinkSync(file);
+        } catch (e) {
+            t.equal(e.code, 'ENOENT', 'snapshot removed');
+        }
+    }
+
+    t.test('snapshot saved after poll', function (t2) {
+        cleanup();
+
+        var storinfo = createClient();
+        storinfo.getStorageNodes = function (_, cb) {
+            cb(null, records);
+        };
+
+        storinfo.once('topology', function (_, info) {
+            t2.equal(info.source, 'poll', 'topology from poll');
+            t2.ok(info.timestamp instanceof Date, 'timestamp');
+
+            storinfo.close();
+
+            /*
+             * The snapshot is written asynchronously, so wait for it to
+             * appear before checking it.
+             */
+            var tries = 0;
+            function check() {
+                if (!fs.existsSync(file) && ++tries < 200) {
+                    setTimeout(check, 10);
+                    return;
+                }
+
+                var snapshot = JSON.parse(fs.readFileSync(file, 'utf8'));
+                t2.equal(snapshot.version, 1, 'version');
+                t2.ok(!isNaN(Date.parse(snapshot.timestamp)), 'timestamp');
+                t2.deepEqual(snapshot.records, records, 'records');
+                t2.end();
+            }
+            check();
+        });
+    });
+
+    t.test('topology loaded from snapshot', function (t2) {
+        var storinfo = createClient();
+        storinfo.getStorageNodes = function (_, cb) {
+            cb(new Error('storinfo unavailable'));
+        };
+
+        storinfo.once('topology', function (maps, info) {
+            t2.equal(info.source, 'cache', 'topology from cache');
+            t2.equal(maps[0]['us-east-1'].length, 2, 'storage nodes');
+            t2.equal(storinfo.getHealth().topologySource, 'cache',
+                'getHealth topologySource');
+
+            storinfo.choose({ size: 1 }, function (err, sharks) {
+                storinfo.close();
+                t2.ifError(err, 'choose from cached topology');
+                t2.equal(sharks[0].length, 2, 'sharks chosen');
+                t2.end();
+            });
+        });
+    });
+
+    t.test('old snapshot ignored', function (t2) {
+        var storinfo = createClient({ maxSnapshotAgeMs: 1 });
+        storinfo.getStorageNodes = function (_, cb) {
+            cb(new Error('storinfo unavailable'));
+        };
+
+        storinfo.once('topology', function () {
+            t2.fail('topology loaded from old snapshot');
+        });
+
+        setTimeout(function () {
+            storinfo.close();
+            t2.equal(storinfo.datacenters, null, 'no topology');
+            t2.end();
+        }, 100);
+    });
+
+    t.test('malformed snapshot ignored', function (t2) {
+        fs.writeFileSync(file, JSON.stringify({ version: 0, records: [] }));
+
+        var storinfo = createClient();
+        storinfo.getStorageNodes = function (_, cb) {
+            cb(new Error('storinfo unavailable'));
+        };
+
+        setTimeout(function () {
+            storinfo.close();
+            t2.equal(storinfo.datacenters, null, 'no topology');
+            t2.end();
+        }, 100);
+    });
+
+    t.test('snapshot with a malformed record ignored', function (t2) {
+        var bad = records.concat({
+            manta_storage_id: '3.stor.us-east.joyent.us',
+            datacenter: 'us-east-1',
+            percentUsed: 10
+        });
+        fs.writeFileSync(file, JSON.stringify({
+            version: 1,
+            timestamp: new Date().toISOString(),
+            records: bad
+        }));
+
+        var storinfo = createClient();
+        storinfo.getStorageNodes = function (_, cb) {
+            cb(new Error('storinfo unavailable'));
+        };
+
+        setTimeout(function () {
+            storinfo.close();
+            t2.equal(storinfo.datacenters, null, 'no topology');
+            t2.end();
+        }, 100);
+    });
+
+    t.test('cleanup', function (t2) {
+        cleanup();
+        t2.end();
+    });
+
+    t.end();
+});
+
+test('promise API', function (t) {
+    var storinfo = createTestClient({
+        multiDC: false,
+        standalone: true
+    });
+
+    var records = [ '1', '2', '3' ].map(function (n) {
+        return ({
+            manta_storage_id: n + '.stor.us-east.joyent.us',
+            datacenter: 'us-east-1',
+            availableMB: 1000,
+            percentUsed: 10
+        });
+    });
+
+    storinfo.choose({ size: 1 }).then(function () {
+        t.fail('choose without a topology should fail');
+    }, function (err) {
+        t.equal(err.name, 'NoTopologyError', 'rejected with NoTopologyError');
+        t.ok(err instanceof require('verror').VError, 'VError');
+
+        var ready = storinfo.ready();
+        t.ok(ready instanceof Promise, 'ready returns a promise');
+        storinfo.loadStorageNodes(records);
+        return (ready);
+    }).then(function () {
+        return (storinfo.choose({ size: 1, replicas: 2 }));
+    }).then(function (result) {
+        t.ok(result.sharks.length > 0, 'sharks');
+        t.equal(result.sharks[0].length, 2, 'replicas');
+        t.ok(result.stats, 'stats');
+        t.deepEqual(result.stats.dcsInUse, [ 'us-east-1' ], 'stats.dcsInUse');
+
+        return (storinfo.choose({ size: 1, replicas: 4 }));
+    }).then(function () {
+        t.fail('choose with too many replicas should fail');
+    }, function (err) {
+        t.equal(err.name, 'NotEnoughSpaceError',
+            'rejected with NotEnoughSpaceError');
+
+        return (storinfo.getStorageNodes());
+    }).then(function () {
+        t.fail('getStorageNodes should fail in standalone mode');
+    }, function (err) {
+        t.equal(err.name, 'StandaloneModeError',
+            'rejected with StandaloneModeError');
+    }).then(function () {
+        t.end();
+    });
+});
+
+test('space reservations', function (t) {
+    var storinfo = createTestClient({
+        multiDC: false,
+        reservations: true,
+        standalone: true
+    });
+
+    var records = [ 1000, 900, 100 ].map(function (mb, i) {
+        return ({
+            manta_storage_id: (i + 1) + '.stor.us-east.joyent.us',
+            datacenter: 'us-east-1',
+            availableMB: mb,
+            percentUsed: 10
+        });
+    });
+    var copy = JSON.parse(JSON.stringify(records));
+    var mb = 1048576;
+
+    function available() {
+        return (storinfo.dcSharkMap['us-east-1'].map(function (s) {
+            return (s.manta_storage_id[0] + ':' + s.availableMB);
+        }));
+    }
+
+    storinfo.loadStorageNodes(records);
+
+    storinfo.choose({ size: 600 * mb, replicas: 1 }, function (err, sharks,
+        stats) {
+        t.ifError(err, 'first choose');
+        t.ok(stats.reservation, 'reservation');
+        t.equal(stats.reservation.sizeMB, 600, 'reservation.sizeMB');
+        t.deepEqual(stats.reservation.sharks, sharks[0], 'primary reserved');
+
+        var first = stats.reservation;
+        var remaining = storinfo.dcSharkMap['us-east-1'].map(function (s) {
+            return (s.availableMB);
+        });
+        t.deepEqual(remaining, remaining.slice().sort(function (a, b) {
+            return (a - b);
+        }), 'sorted by availableMB');
+        t.deepEqual(records, copy, 'loaded records not modified');
+
+        storinfo.choose({ size: 600 * mb, replicas: 1 }, function (err2,
+            sharks2) {
+            t.ifError(err2, 'second choose');
+            t.notEqual(sharks2[0][0].manta_storage_id,
+                sharks[0][0].manta_storage_id, 'other storage node chosen');
+            t.deepEqual(available(), [ '3:100', '2:300', '1:400' ],
+                'space reserved');
+
+            storinfo.choose({ size: 600 * mb, replicas: 1 }, function (err3) {
+                t.equal(err3 && err3.name, 'NotEnoughSpaceError',
+                    'no space left');
+
+                t.ok(storinfo.release(first), 'released');
+                t.notOk(storinfo.release(first), 'released only once');
+
+                var opts = { size: 600 * mb, replicas: 1 };
+                storinfo.choose(opts, function (err4, _, stats4) {
+                    t.ifError(err4, 'choose after release');
+
+                    storinfo.loadStorageNodes(records);
+                    t.deepEqual(available(), [ '3:100', '2:900', '1:1000' ],
+                        'new topology resets reservations');
+                    t.notOk(storinfo.release(stats4.reservation),
+                        'old reservation discarded');
+                    t.deepEqual(available(), [ '3:100', '2:900', '1:1000' ],
+                        'discarded reservation not released');
+                    t.end();
+                });
+            });
+        });
+    });
+});
+
+test('choose explain', function (t) {
+    var storinfo = createTestClient({
+        maxUtilizationPct: 90,
+        multiDC: true,
+        standalone: true
+    });
+
+    var records = [
+        [ 'us-east-1', 10000, 10 ],
+        [ 'us-east-1', 10000, 95 ],
+        [ 'us-east-2', 10000, 10 ],
+        [ 'us-east-2', 10000, 10 ],
+        [ 'us-east-3', 10000, 99 ]
+    ].map(function (r, i) {
+        return ({
+            manta_storage_id: (i + 1) + '.stor.' + r[0] + '.joyent.us',
+            datacenter: r[0],
+            availableMB: r[1],
+            percentUsed: r[2]
+        });
+    });
+
+    function report(explain, dc) {
+        return (explain.datacenters.filter(function (r) {
+            return (r.datacenter === dc);
+        })[0]);
+    }
+
+    storinfo.loadStorageNodes(records);
+
+    storinfo.choose({ replicas: 2 }, function (err, _, stats) {
+        t.ifError(err, 'choose');
+        t.notOk(stats.explain, 'no explanation unless asked');
+
+        var opts = {
+            replicas: 2,
+            explain: true,
+            exclude: { manta_storage_ids: [ records[2].manta_storage_id ] }
+        };
+
+        storinfo.choose(opts, function (err2, sharks, stats2) {
+            t.ifError(err2, 'choose with explain');
+
+            var explain = stats2.explain;
+            t.equal(explain.replicas, 2, 'replicas');
+            t.equal(explain.utilization, 90, 'utilization');
+            t.equal(explain.datacenters.length, 3, 'all datacenters');
+            t.equal(report(explain, 'us-east-1').overUtilization, 1,
+                'over utilization');
+            t.equal(report(explain, 'us-east-1').status, 'usable', 'usable');
+            t.deepEqual(report(explain, 'us-east-2').excluded,
+                [ records[2].manta_storage_id ], 'excluded storage node');
+            t.equal(report(explain, 'us-east-2').usable, 1, 'usable count');
+            t.equal(report(explain, 'us-east-3').status, 'all storage ' +
+                'nodes are above the utilization threshold', 'full datacenter');
+            t.equal(sharks.length, 1, 'one tuple chosen');
+            t.equal(explain.tuples.length, 3, 'tuple traces');
+            t.deepEqual(explain.tuples[0].tuple, sharks[0], 'chosen tuple');
+            t.equal(explain.tuples[0].rejected, null, 'tuple accepted');
+            t.equal(explain.tuples[1].rejected,
+                'not enough usable storage nodes', 'tuple rejected');
+            t.ok(explain.tuples[1].retries > 0,
+                'storage nodes used by the first tuple were skipped');
+            t.equal(explain.error, null, 'no error');
+
+            opts.exclude.datacenters = [ 'us-east-1' ];
+            storinfo.choose(opts, function (err3, _3, stats3) {
+                t.equal(err3 && err3.name, 'NotEnoughSpaceError', 'error');
+                t.equal(stats3.explain.error, err3.message, 'explain.error');
+                t.equal(report(stats3.explain, 'us-east-1').status,
+                    'datacenter excluded by request', 'excluded datacenter');
+                storinfo.close();
+                t.end();
+            });
+        });
+    });
+});
+
+test('per-datacenter utilization thresholds', function (t) {
+    var storinfo = createTestClient({
+        maxUtilizationPct: 90,
+        maxUtilizationPctByDc: {
+            'us-east-1': 80,
+            'us-east-2': 95
+        },
+        minAvailableMB: 500,
+        multiDC: true,
+        standalone: true
+    });
+
+    var records = [
+        [ 'us-east-1', 10000, 85 ],
+        [ 'us-east-1', 10000, 70 ],
+        [ 'us-east-2', 10000, 93 ],
+        [ 'us-east-2', 10000, 96 ],
+        [ 'us-east-3', 100, 50 ],
+        [ 'us-east-3', 10000, 89 ]
+    ].map(function (r, i) {
+        return ({
+            manta_storage_id: (i + 1) + '.stor.' + r[0] + '.joyent.us',
+            datacenter: r[0],
+            availableMB: r[1],
+            percentUsed: r[2]
+        });
+    });
+
+    function ids(map) {
+        var result = [];
+        Object.keys(map).sort().forEach(function (dc) {
+            map[dc].forEach(function (s) {
+                result.push(s.manta_storage_id[0]);
+            });
+        });
+        return (result.sort());
+    }
+
+    t.equal(storinfo.getMaxUtilizationPct('us-east-1'), 80, 'override');
+    t.equal(storinfo.getMaxUtilizationPct('us-east-3'), 90, 'default');
+
+    storinfo.loadStorageNodes(records);
+
+    t.deepEqual(ids(storinfo.dcSharkMap), [ '2', '3', '6' ],
+        'normal storage nodes');
+    t.equal(ids(storinfo.operatorDcSharkMap).length, 6,
+        'operator storage nodes');
+
+    var opts = { replicas: 3, selection: 'headroom', explain: true };
+    storinfo.choose(opts, function (err, sharks, stats) {
+        t.ifError(err, 'choose');
+        t.deepEqual(sharks[0].map(function (s) {
+            return (s.manta_storage_id[0]);
+        }).sort(), [ '2', '3', '6' ], 'primary tuple');
+        var explained = stats.explain.datacenters.map(function (r) {
+            return (r.datacenter + ':' + r.utilization + ':' +
+                r.overUtilization);
+        });
+        t.deepEqual(explained.sort(), [ 'us-east-1:80:1', 'us-east-2:95:1',
+            'us-east-3:90:1' ], 'thresholds explained');
+        t.end();
+    });
+});
+
+test('reconfigure', function (t) {
+    var storinfo = createTestClient({
+        multiDC: false,
+        standalone: true
+    });
+
+    var records = [ 50, 80, 95 ].map(function (pct, i) {
+        return ({
+            manta_storage_id: (i + 1) + '.stor.us-east.joyent.us',
+            datacenter: 'us-east-1',
+            availableMB: 10000,
+            percentUsed: pct
+        });
+    });
+    var topologies = [];
+
+    function count() {
+        return (storinfo.dcSharkMap['us-east-1'].length);
+    }
+
+    t.equal(storinfo.reconfigure({ maxUtilizationPct: 70 }), false,
+        'reconfigure without a topology');
+    t.equal(storinfo.dcSharkMap, null, 'no topology to rebuild');
+
+    storinfo.loadStorageNodes(records);
+    t.equal(count(), 1, 'new threshold applied to loaded records');
+
+    storinfo.on('topology', function (_, info) {
+        topologies.push(info);
+    });
+
+    t.equal(storinfo.reconfigure({ maxUtilizationPct: 90 }), true,
+        'reconfigure returns true');
+    t.equal(count(), 2, 'topology rebuilt');
+    t.equal(topologies.length, 1, 'topology event emitted');
+    t.equal(topologies[0].source, 'load', 'original source kept');
+    t.equal(storinfo.operatorDcSharkMap['us-east-1'].length, 3,
+        'operator storage nodes');
+
+    storinfo.reconfigure({ maxUtilizationPctByDc: { 'us-east-1': 99 } });
+    t.equal(count(), 3, 'per-datacenter threshold applied');
+
+    t.throws(function () {
+        storinfo.reconfigure({ maxUtilizationPct: 50, multiDC: 'yes' });
+    }, /multiDC/, 'bad option');
+    t.equal(storinfo.utilization, 90, 'nothing changed on bad input');
+    [ 0, -10, 101 ].forEach(function (pct) {
+        t.throws(function () {
+            storinfo.reconfigure({ maxUtilizationPct: pct });
+        }, /maxUtilizationPct must be greater/, 'maxUtilizationPct ' + pct);
+    });
+    t.throws(function () {
+        storinfo.reconfigure({ maxUtilizationPctByDc: { 'us-east-1': 0 } });
+    }, /maxUtilizationPctByDc.us-east-1 must be/, 'per-datacenter threshold');
+    t.equal(storinfo.utilization, 90, 'utilization unchanged');
+    t.throws(function () {
+        storinfo.reconfigure({ pollInterval: 0 });
+    }, /pollInterval must be positive/, 'pollInterval 0');
+    t.throws(function () {
+        storinfo.reconfigure({ pollInterval: 1000 });
+    }, /standalone/, 'pollInterval on a standalone client');
+    t.equal(topologies.length, 2, 'no topology event on bad input');
+
+    storinfo.reconfigure({ multiDC: true, defaultMaxStreamingSizeMB: 100 });
+    storinfo.choose({ replicas: 2 }, function (err) {
+        t.equal(err && err.name, 'NotEnoughSpaceError',
+            'multiDC requires two datacenters');
+        t.equal(storinfo.defMaxSizeMB, 100, 'defaultMaxStreamingSizeMB');
+        t.end();
+    });
+});
+
+test('reconfigure without storage records', function (t) {
+    var storinfo = createTestClient({ standalone: true });
+    var dcObj = {
+        'us-east-1': [ {
+            manta_storage_id: '1.stor.us-east.joyent.us',
+            datacenter: 'us-east-1',
+            availableMB: 10000,
+            percentUsed: 95
+        } ]
+    };
+    var warnings = 0;
+
+    mod_storinfo.sortAndStoreDcs.call(storinfo, dcObj, dcObj);
+    storinfo.log.warn = function () {
+        warnings++;
+    };
+    t.equal(storinfo.reconfigure({ maxUtilizationPct: 90 }), false,
+        'topology not rebuilt');
+    t.equal(warnings, 1, 'warning logged');
+    t.equal(storinfo.dcSharkMap['us-east-1'].length, 1, 'topology kept');
+    t.equal(storinfo.utilization, 90, 'new threshold stored');
+    t.end();
+});
+
+test('topology change events', function (t) {
+    var storinfo = createPollingClient();
+
+    function record(n, dc, pct, time) {
+        return ({
+            manta_storage_id: n + '.stor.us-east.joyent.us',
+            datacenter: dc,
+            availableMB: 1000,
+            percentUsed: pct,
+            timestamp: time
+        });
+    }
+
+    /*
+     * The second poll returns the same records as the first, apart from their
+     * timestamps.  In the third, 1.stor crosses the utilization threshold,
+     * 2.stor (and with it us-east-2) disappears and 3.stor appears in
+     * us-east-3.
+     */
+    var responses = [
+        [ record(1, 'us-east-1', 10, 1000), record(2, 'us-east-2', 10, 1000) ],
+        [ record(1, 'us-east-1', 10, 2000), record(2, 'us-east-2', 10, 2000) ],
+        [ record(1, 'us-east-1', 95, 3000), record(3, 'us-east-3', 10, 3000) ]
+    ];
+    var polls = [];
+    var events = [];
+
+    storinfo.getStorageNodes = function (_, cb) {
+        cb(null, responses[Math.min(polls.length, responses.length - 1)]);
+    };
+
+    [ 'nodeAdded', 'nodeRemoved', 'nodeCrossedThreshold', 'dcAvailable',
+        'dcUnavailable' ].forEach(function (name) {
+        storinfo.on(name, function (arg) {
+            events.push([ name, arg ]);
+        });
+    });
+
+    storinfo.on('topology', function (_, info) {
+        events.push([ 'topology', info.generation ]);
+    });
+
+    storinfo.on('poll', function onPoll(info) {
+        polls.push(info);
+        if (polls.length < 3) {
+            return;
+        }
+
+        storinfo.removeListener('poll', onPoll);
+        storinfo.close();
+
+        t.deepEqual(polls.map(function (p) {
+            return ([ p.generation, p.changed ]);
+        }), [ [ 1, true ], [ 1, false ], [ 2, true ] ], 'polls');
+
+        t.deepEqual(events.map(function (e) {
+            var arg = e[1];
+            return (e[0] + ' ' + (typeof (arg) === 'number' ? arg :
+                arg.manta_storage_id || arg.datacenter));
+        }), [
+            'topology 1',
+            'nodeRemoved 2.stor.us-east.joyent.us',
+            'nodeCrossedThreshold 1.stor.us-east.joyent.us',
+            'nodeAdded 3.stor.us-east.joyent.us',
+            'dcUnavailable us-east-1',
+            'dcUnavailable us-east-2',
+            'dcAvailable us-east-3',
+            'topology 2'
+        ], 'events');
+
+        var crossed = events[2][1];
+        t.equal(crossed.oldRecord.percentUsed, 10, 'oldRecord');
+        t.equal(crossed.newRecord.percentUsed, 95, 'newRecord');
+        t.equal(crossed.usable, false, 'no longer usable');
+        t.equal(crossed.generation, 2, 'generation');
+        t.equal(events[1][1].newRecord, null, 'removed node has no newRecord');
+        t.equal(events[4][1].newRecords.length, 1, 'dc newRecords');
+        t.equal(storinfo.getHealth().topologyGeneration, 2,
+            'getHealth topologyGeneration');
+        t.end();
+    });
+});
+
+test('space reservations reset by unchanged polls', function (t) {
+    var storinfo = createPollingClient({
+        multiDC: false,
+        reservations: true
+    });
+    var mb = 1048576;
+    var reservation;
+
+    storinfo.getStorageNodes = function (_, cb) {
+        cb(null, [ {
+            manta_storage_id: '1.stor.us-east.joyent.us',
+            datacenter: 'us-east-1',
+            availableMB: 1000,
+            percentUsed: 10
+        } ]);
+    };
+
+    storinfo.on('poll', function onPoll(info) {
+        var available = storinfo.dcSharkMap['us-east-1'][0].availableMB;
+
+        if (!reservation) {
+            storinfo.choose({ size: 600 * mb, replicas: 1 }, function (err, _,
+                stats) {
+                t.ifError(err, 'choose');
+                reservation = stats.reservation;
+                t.equal(storinfo.dcSharkMap['us-east-1'][0].availableMB, 400,
+                    'space reserved');
+            });
+            return;
+        }
+
+        storinfo.removeListener('poll', onPoll);
+        storinfo.close();
+
+        t.equal(info.changed, false, 'topology unchanged');
+        t.equal(info.generation, reservation.generation, 'same generation');
+        t.equal(available, 1000, 'poll resets reservations');
+        t.notOk(storinfo.release(reservation), 'reservation discarded');
+        t.equal(storinfo.dcSharkMap['us-east-1'][0].availableMB, 1000,
+            'discarded reservation not released');
+        t.end();
+    });
+});
+
+test('sortAndStoreDcs defaults to a load source', function (t) {
+    var storinfo = createTestClient({
+        standalone: true
+    });
+    var db = { 'us-east-1': [ {
+        manta_storage_id: '1.stor.us-east.joyent.us',
+        datacenter: 'us-east-1',
+        availableMB: 1000,
+        percentUsed: 10
+    } ] };
+    var sources = [];
+
+    storinfo.on('topology', function (_, info) {
+        sources.push([ info.source, info.generation, info.changed ]);
+    });
+
+    mod_storinfo.sortAndStoreDcs.call(storinfo, db, db);
+    mod_storinfo.sortAndStoreDcs.call(storinfo, db, db);
+    t.deepEqual(sources, [ [ 'load', 1, true ], [ 'load', 1, false ] ],
+        'unchanged topology still emitted, with the same generation');
+    t.end();
+});
+
+test('storage node circuit breaker', function (t) {
+    var tracker = new mod_health.NodeHealthTracker({
+        halfLifeMs: 1000,
+        minSamples: 4,
+        maxErrorRate: 0.5,
+        maxLatencyMs: 500,
+        openMs: 100
+    });
+    var id = '1.stor.us-east.joyent.us';
+    var i;
+
+    for (i = 0; i < 3; i++) {
+        t.equal(tracker.report(id, { ok: false }, 0), null, 'too few samples');
+    }
+    t.equal(tracker.report(id, { ok: false }, 0), 'open', 'tripped');
+    t.deepEqual(tracker.unavailable(50), [ id ], 'open');
+    t.deepEqual(tracker.unavailable(100), [], 'half-open after openMs');
+    t.equal(tracker.get(id, 100).state, 'half-open', 'get');
+    tracker.chosen(id, 100);
+    t.deepEqual(tracker.unavailable(150), [ id ], 'probe outstanding');
+    t.deepEqual(tracker.unavailable(200), [], 'probe timed out');
+    t.equal(tracker.report(id, { ok: false }, 200), 'open', 'probe failed');
+    t.equal(tracker.report(id, { ok: true }, 300), 'closed', 'probe passed');
+    t.equal(tracker.get(id, 300).samples, 0, 'scores reset');
+
+    var probed = '4.stor.us-east.joyent.us';
+    for (i = 0; i < 4; i++) {
+        tracker.report(probed, { ok: false }, 0);
+    }
+    t.equal(tracker.report(probed, { ok: false }, 100), 'open',
+        'failed probe reopens a breaker not yet seen half-open');
+    t.deepEqual(tracker.unavailable(150), [ probed ], 'reopened');
+
+    var slow = '2.stor.us-east.joyent.us';
+    for (i = 0; i < 4; i++) {
+        tracker.report(slow, { ok: true, latencyMs: 1000 }, 0);
+    }
+    t.equal(tracker.get(slow, 0).state, 'open', 'tripped by latency');
+    t.equal(tracker.get(slow, 1000).latencyMs, 1000, 'mean latency');
+    t.equal(tracker.get(slow, 1000).samples, 2, 'samples decayed');
+    t.equal(tracker.get('3.stor.us-east.joyent.us').state, 'closed',
+        'unknown storage nodes are healthy');
+
+    var storinfo = createTestClient({
+        multiDC: false,
+        nodeHealth: { minSamples: 2, openMs: 50 },
+        standalone: true
+    });
+    var events = [];
+
+    storinfo.loadStorageNodes([ 1, 2, 3 ].map(function (n) {
+        return ({
+            manta_storage_id: n + '.stor.us-east.joyent.us',
+            datacenter: 'us-east-1',
+            availableMB: 10000,
+            percentUsed: 10
+        });
+    }));
+
+    [ 'nodeTripped', 'nodeRestored' ].forEach(function (name) {
+        storinfo.on(name, function (health) {
+            events.push(name + ' ' + health.manta_storage_id);
+        });
+    });
+
+    /*
+     * Samples decay between reports, so two reports made a millisecond apart
+     * amount to slightly fewer than minSamples.
+     */
+    storinfo.reportResult(id, { ok: false, latencyMs: 10 });
+    storinfo.reportResult(id, { ok: false, latencyMs: 20 });
+    storinfo.reportResult(id, { ok: false, latencyMs: 30 });
+    storinfo.reportResult(slow, { ok: true });
+    t.deepEqual(events, [ 'nodeTripped ' + id ], 'nodeTripped');
+    t.equal(Math.round(storinfo.getNodeHealth(id).latencyMs), 20,
+        'getNodeHealth');
+    t.deepEqual(storinfo.getNodeHealth().map(function (h) {
+        return (h.state);
+    }), [ 'open', 'closed' ], 'getNodeHealth for all storage nodes');
+
+    storinfo.choose({ replicas: 2, explain: true }, function (err, sharks,
+        stats) {
+        t.ifError(err, 'choose');
+        sharks.forEach(function (tuple) {
+            t.notOk(tuple.some(function (s) {
+                return (s.manta_storage_id === id);
+            }), 'tripped storage node not chosen');
+        });
+        t.deepEqual(stats.explain.trippedStorageNodes, [ id ], 'explain');
+
+        storinfo.choose({ replicas: 3 }, function (err2) {
+            t.equal(err2 && err2.name, 'NotEnoughSpaceError', 'not enough');
+            t.ok(/1 storage node\(s\) with sufficient space are tripped/.test(
+                err2.message), 'error mentions tripped storage nodes');
+
+            setTimeout(function () {
+                storinfo.choose({ replicas: 3 }, function (err3) {
+                    t.ifError(err3, 'half-open storage node chosen');
+
+                    storinfo.choose({ replicas: 3 }, function (err4) {
+                        t.ok(err4, 'only one probe at a time');
+
+                        storinfo.reportResult(id, { ok: true });
+                        t.deepEqual(events, [ 'nodeTripped ' + id,
+                            'nodeRestored ' + id ], 'nodeRestored');
+                        t.end();
+                    });
+                });
+            }, 60);
+        });
+    });
+});
+
+test('circuit breaker probes only count for the primary tuple', function (t) {
+    var id = '1.stor.us-east.joyent.us';
+    var storinfo = createTestClient({
+        multiDC: false,
+        nodeHealth: { minSamples: 1, openMs: 10 },
+        strategy: {
+            select: function select(topology) {
+                var sharks = topology.sharkMap['us-east-1'];
+                var probe = sharks.filter(function (s) {
+                    return (s.manta_storage_id === id);
+                });
+                var others = sharks.filter(function (s) {
+                    return (s.manta_storage_id !== id);
+                });
+                return ([ [ others[0] ], probe ]);
+            }
+        },
+        standalone: true
+    });
+
+    storinfo.loadStorageNodes([ 1, 2 ].map(function (n) {
+        return ({
+            manta_storage_id: n + '.stor.us-east.joyent.us',
+            datacenter: 'us-east-1',
+            availableMB: 10000,
+            percentUsed: 10
+        });
+    }));
+
+    storinfo.reportResult(id, { ok: false });
+    t.equal(storinfo.getNodeHealth(id).state, 'open', 'tripped');
+
+    setTimeout(function () {
+        storinfo.choose({ replicas: 1 }, function (err, sharks) {
+            t.ifError(err, 'choose');
+            t.equal(sharks[1][0].manta_storage_id, id, 'fallback tuple');
+            t.equal(storinfo.getNodeHealth(id).state, 'half-open',
+                'half-open');
+            t.deepEqual(storinfo.health.unavailable(), [],
+                'storage node in a fallback tuple still probe-eligible');
+            t.end();
+        });
+    }, 20);
+});
+
+test('tag constraints', function (t) {
+    var storinfo = createTestClient({
+        multiDC: false,
+        tagsField: 'storageClass',
+        standalone: true
+    });
+
+    var classes = [ [ 'ssd', 'fast' ], [ 'ssd' ], 'hdd', undefined ];
+    storinfo.loadStorageNodes(classes.map(function (c, i) {
+        return ({
+            manta_storage_id: (i + 1) + '.stor.us-east.joyent.us',
+            datacenter: 'us-east-1',
+            availableMB: 10000,
+            percentUsed: 10,
+            storageClass: c
+        });
+    }));
+
+    function chosen(sharks) {
+        return (sharks[0].map(function (s) {
+            return (s.manta_storage_id[0]);
+        }).sort().join(','));
+    }
+
+    var opts = { requireTags: [ 'ssd' ], tuples: 1 };
+    storinfo.choose(opts, function (err, sharks, stats) {
+        t.ifError(err, 'requireTags');
+        t.equal(chosen(sharks), '1,2', 'only tagged storage nodes');
+        t.equal(stats.preferTagsMet, undefined, 'no preference');
+
+        opts = { requireTags: [ 'ssd', 'fast' ], explain: true };
+        storinfo.choose(opts, function (err2, _, stats2) {
+            t.equal(err2 && err2.name, 'NotEnoughSpaceError',
+                'too few storage nodes with the required tags');
+            t.ok(/3 storage node\(s\) .* lack the required tags: ssd, fast/
+                .test(err2.message), 'cause');
+            t.equal(stats2.explain.datacenters[0].untagged.length, 3,
+                'explain untagged');
+
+            opts = { replicas: 1, preferTags: [ 'hdd' ], tuples: 1 };
+            storinfo.choose(opts, function (err3, sharks3, stats3) {
+                t.ifError(err3, 'preferTags');
+                t.equal(chosen(sharks3), '3', 'preferred storage node');
+                t.equal(stats3.preferTagsMet, true, 'preference met');
+
+                opts = { preferTags: [ 'hdd' ], tuples: 1 };
+                storinfo.choose(opts, function (err4, sharks4, stats4) {
+                    t.ifError(err4, 'preferTags fallback');
+                    t.equal(sharks4[0].length, 2, 'fell back');
+                    t.equal(stats4.preferTagsMet, false, 'preference unmet');
+
+                    opts = { requireTags: [ 'ssd' ], preferTags: [ 'fast' ],
+                        replicas: 1, tuples: 1 };
+                    storinfo.choose(opts, function (err5, sharks5, stats5) {
+                        t.ifError(err5, 'requireTags and preferTags');
+                        t.equal(chosen(sharks5), '1', 'both applied');
+                        t.equal(stats5.preferTagsMet, true, 'met');
+                        t.end();
+                    });
+                });
+            });
+        });
+    });
+});
+
+test('chooseBatch', function (t) {
+    var storinfo = createTestClient({
+        multiDC: false,
+        reservations: true,
+        standalone: true
+    });
+    var MB = 1048576;
+
+    function load(space) {
+        storinfo.loadStorageNodes(space.map(function (mb, i) {
+            return ({
+                manta_storage_id: (i + 1) + '.stor.us-east.joyent.us',
+                datacenter: 'us-east-1',
+                availableMB: mb,
+                percentUsed: 10
+            });
+        }));
+    }
+
+    function primary(placement) {
+        return (placement[0].map(function (s) {
+            return (s.manta_storage_id[0]);
+        }).sort().join(','));
+    }
+
+    load([ 1000, 1000, 1000, 1000, 1000, 1000 ]);
+
+    var opts = { count: 4, size: 100 * MB };
+    storinfo.chooseBatch(opts, function (err, placements, stats) {
+        t.ifError(err, 'same mode');
+        t.equal(placements.length, 4, 'one placement per part');
+        t.equal(placements[0].length, 3, 'with fallback tuples');
+        placements.forEach(function (p, i) {
+            t.deepEqual(p, placements[0], 'same tuples for part ' + i);
+        });
+        placements[1].pop();
+        placements[1][0].pop();
+        t.equal(placements[0].length, 3, 'parts have their own tuples');
+        t.equal(placements[0][0].length, 2,
+            'parts have their own storage nodes');
+        t.equal(stats.totalMB, 400, 'totalMB');
+        t.equal(stats.reservations[0].sizeMB, 400, 'combined size reserved');
+
+        opts = { count: 40, size: 100 * MB, mode: 'spread' };
+        storinfo.chooseBatch(opts, function (err2) {
+            t.equal(err2 && err2.name, 'NotEnoughSpaceError',
+                'no storage nodes with room for a share of the parts');
+
+            load([ 1000, 1000, 1000, 1000, 1000, 1000 ]);
+            var dcIndex = storinfo.strategy.dcIndex;
+            opts = { count: 7, size: 100 * MB, mode: 'spread', tuples: 2 };
+            storinfo.chooseBatch(opts, function (err3, placements3, stats3) {
+                t.ifError(err3, 'spread mode');
+                t.equal(stats3.groups, 3, 'groups');
+                t.equal(stats3.partsPerGroup, 3, 'partsPerGroup');
+                t.equal(placements3[0].length, 2, 'tuples');
+                t.equal(primary(placements3[3]), primary(placements3[0]),
+                    'round robin across groups');
+                t.equal(primary(placements3[1]),
+                    primary([ placements3[0][1] ]), 'fallback is next group');
+                t.equal(placements3.slice(0, 3).map(primary).join(',')
+                    .split(',').sort().join(''), '123456', 'disjoint groups');
+                t.deepEqual(stats3.reservations.map(function (r) {
+                    return (r.sizeMB);
+                }), [ 300, 200, 200 ], 'each group reserves its share');
+                t.equal(storinfo.strategy.dcIndex, dcIndex,
+                    'round robin not advanced');
+
+                load([ 1000, 1000, 1000, 1000, 150, 150 ]);
+                opts = { count: 6, size: 100 * MB, mode: 'spread' };
+                storinfo.chooseBatch(opts, function (err4, _, stats4) {
+                    t.ifError(err4, 'spread across fewer groups');
+                    t.equal(stats4.groups, 2, 'groups');
+                    t.equal(stats4.partsPerGroup, 3, 'partsPerGroup');
+
+                    storinfo.chooseBatch(opts).then(function (result) {
+                        t.equal(result.placements.length, 6, 'promise');
+                        t.end();
+                    });
+                });
+            });
+        });
+    });
+});
+
+test('chooseBatch probes', function (t) {
+    var storinfo = createTestClient({
+        multiDC: false,
+        nodeHealth: { minSamples: 1, openMs: 10 },
+        standalone: true
+    });
+    var probed = '4.stor.us-east.joyent.us';
+
+    /*
+     * Looking for three groups of two storage nodes with room for 100 MB, we
+     * find only two, one of them with 4.stor, which is half-open.  Looking
+     * again for two groups with room for 200 MB, we find only one, and that
+     * doesn't have room for 4.stor, so its first group is thrown away.
+     */
+    var space = [ 1000, 1000, 1000, 150, 50, 50 ];
+    storinfo.loadStorageNodes(space.map(function (mb, i) {
+        return ({
+            manta_storage_id: (i + 1) + '.stor.us-east.joyent.us',
+            datacenter: 'us-east-1',
+            availableMB: mb,
+            percentUsed: 10
+        });
+    }));
+    storinfo.reportResult(probed, { ok: false });
+
+    setTimeout(function () {
+        var opts = { count: 3, size: 1048576 * 100, mode: 'spread' };
+
+        storinfo.chooseBatch(opts, function (err, placements, stats) {
+            t.ifError(err, 'chooseBatch');
+            t.equal(stats.groups, 1, 'groups');
+            t.notOk(placements[0][0].some(function (s) {
+                return (s.manta_storage_id === probed);
+            }), 'half-open storage node not returned');
+            t.equal(storinfo.getNodeHealth(probed).state, 'half-open',
+                'half-open');
+            t.deepEqual(storinfo.health.unavailable(), [],
+                'storage node in a discarded group still probe-eligible');
+            t.end();
+        });
+    }, 20);
+});
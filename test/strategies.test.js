@@ -0,0 +1,284 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+/*
+ * Test the pluggable object placement strategies.
+ */
+
+const bunyan = require('bunyan');
+const fs = require('fs');
+const path = require('path');
+
+const test = require('tap').test;
+
+const mod_errors = require('../lib/errors.js');
+const mod_storinfo = require('../lib/client.js');
+const mod_strategies = require('../lib/strategies.js');
+
+
+// /--- Helpers
+
+function readRecords() {
+    var file = path.join(__dirname, 'storinfo.records.json');
+    return (JSON.parse(fs.readFileSync(file, 'utf8')));
+}
+
+function createClient(opts) {
+    opts.log = bunyan.createLogger({
+        level: process.env.LOG_LEVEL || 'info',
+        name: 'strategies_test',
+        stream: process.stdout
+    });
+    opts.standalone = true;
+
+    var client = mod_storinfo.createClient(opts);
+    var db = readRecords();
+    client.loadStorageNodes(db);
+
+    return (client);
+}
+
+
+// /--- Tests
+
+test('default strategy', function (t) {
+    var client = createClient({});
+
+    t.ok(client.strategy instanceof mod_strategies.DefaultStrategy,
+        'default strategy used when none is configured');
+
+    client.choose({ replicas: 2 }, function (err, sharks, stats) {
+        t.ifError(err);
+        t.equal(sharks.length, 3, 'three tuples');
+        sharks.forEach(function (tuple) {
+            t.equal(tuple.length, 2, 'two replicas per tuple');
+            t.notEqual(tuple[0].datacenter, tuple[1].datacenter,
+                'replicas in different DCs');
+        });
+        t.equal(stats.dcsInUse.length, 3, 'all DCs in use');
+        client.close();
+        t.end();
+    });
+});
+
+test('mostAvailable strategy', function (t) {
+    var client = createClient({ strategy: 'mostAvailable' });
+    var db = client.dcSharkMap;
+
+    client.choose({ replicas: 3 }, function (err, sharks) {
+        t.ifError(err);
+        t.equal(sharks.length, 3, 'three tuples');
+
+        /*
+         * The primary tuple should be made up of the emptiest shark in each
+         * DC.
+         */
+        var primary = sharks[0].map(function (s) {
+            return (s.manta_storage_id);
+        }).sort();
+        var emptiest = Object.keys(db).map(function (dc) {
+            return (db[dc][db[dc].length - 1].manta_storage_id);
+        }).sort();
+        t.deepEqual(primary, emptiest, 'primary tuple uses emptiest sharks');
+
+        var seen = {};
+        sharks.forEach(function (tuple) {
+            tuple.forEach(function (s) {
+                t.notOk(seen[s.manta_storage_id], 'shark used only once');
+                seen[s.manta_storage_id] = true;
+            });
+        });
+
+        client.close();
+        t.end();
+    });
+});
+
+test('custom strategies', function (t) {
+    var calls = [];
+    var custom = {
+        select: function select(topology, request) {
+            calls.push(request);
+            t.ok(Array.isArray(topology.datacenters), 'topology.datacenters');
+            t.equal(typeof (topology.sharkMap), 'object', 'topology.sharkMap');
+            var dc = topology.datacenters[0];
+            var shark = topology.sharkMap[dc][0];
+            return ([ [ {
+                datacenter: dc,
+                manta_storage_id: shark.manta_storage_id
+            } ] ]);
+        }
+    };
+
+    mod_storinfo.registerStrategy('test-custom', function () {
+        return (custom);
+    });
+
+    t.ok(mod_strategies.listStrategies().indexOf('test-custom') !== -1,
+        'strategy registered');
+
+    var registered = createClient({ strategy: 'test-custom' });
+    var direct = createClient({ strategy: custom });
+
+    registered.choose({ replicas: 1 }, function (err, sharks) {
+        t.ifError(err);
+        t.equal(sharks.length, 1, 'tuples from custom strategy');
+
+        direct.choose({ replicas: 1, size: 1048576 }, function (err2) {
+            t.ifError(err2);
+            t.equal(calls.length, 2, 'custom strategy invoked');
+            t.equal(calls[1].size, 1, 'request size in MB');
+            t.equal(calls[1].replicas, 1, 'request replicas');
+
+            registered.close();
+            direct.close();
+            t.end();
+        });
+    });
+});
+
+test('strategy errors', function (t) {
+    var client = createClient({
+        strategy: {
+            select: function select(_, request) {
+                throw (new mod_errors.NotEnoughSpaceError(
+                    request.size, 'test failure'));
+            }
+        }
+    });
+
+    client.choose({}, function (err, sharks) {
+        t.ok(err, 'error returned');
+        t.equal(err.name, 'NotEnoughSpaceError', 'error name');
+        t.equal(sharks, null, 'no sharks');
+
+        t.throws(function () {
+            createClient({ strategy: 'no-such-strategy' });
+        }, /unknown placement strategy/, 'unknown strategy');
+
+        client.close();
+        t.end();
+    });
+});
+
+test('custom strategies and excluded storage nodes', function (t) {
+    var strategy = {
+        select: function select(topology) {
+            var dc = topology.datacenters[0];
+            return ([ [ topology.sharkMap[dc][0] ] ]);
+        }
+    };
+    var client = createClient({
+        nodeHealth: { minSamples: 1 },
+        strategy: strategy
+    });
+    var tagged = createClient({ strategy: strategy });
+    var dc = client.datacenters[0];
+    var id = client.dcSharkMap[dc][0].manta_storage_id;
+
+    client.reportResult(id, { ok: false });
+    client.choose({ replicas: 1 }, function (err, sharks) {
+        t.ok(err, 'error returned');
+        t.ok(/chose storage node ".*", which is tripped/.test(err.message),
+            'error mentions tripped storage node');
+        t.equal(sharks, null, 'no sharks');
+
+        var opts = { replicas: 1, requireTags: [ 'ssd' ] };
+        tagged.choose(opts, function (err2) {
+            t.ok(err2, 'error returned');
+            t.ok(/which lacks the tags: ssd/.test(err2.message),
+                'error mentions untagged storage node');
+            client.close();
+            tagged.close();
+            t.end();
+        });
+    });
+});
+
+test('tuple count and datacenter spread', function (t) {
+    var client = createClient({ tuples: 2, minDatacenters: 3 });
+
+    function dcCount(tuple) {
+        return (tuple.map(function (s) {
+            return (s.datacenter);
+        }).filter(function (dc, i, dcs) {
+            return (dcs.indexOf(dc) === i);
+        }).length);
+    }
+
+    [ 'default', 'mostAvailable' ].forEach(function (name) {
+        t.test(name, function (t2) {
+            client.strategy = mod_strategies.createStrategy(name);
+
+            client.choose({ replicas: 3 }, function (err, sharks) {
+                t2.ifError(err);
+                t2.equal(sharks.length, 2, 'client tuple count');
+                sharks.forEach(function (tuple) {
+                    t2.equal(dcCount(tuple), 3, 'three DCs per tuple');
+                });
+
+                var opts = { replicas: 4, tuples: 1, maxPerDatacenter: 2 };
+                client.choose(opts, function (err2, sharks2) {
+                    t2.ifError(err2);
+                    t2.equal(sharks2.length, 1, 'request tuple count');
+                    t2.equal(dcCount(sharks2[0]), 3, 'three DCs');
+                    t2.end();
+                });
+            });
+        });
+    });
+
+    t.test('violations', function (t2) {
+        var opts = {
+            replicas: 3,
+            exclude: { datacenters: [ 'us-east-3' ] }
+        };
+
+        client.choose(opts, function (err) {
+            t2.equal(err && err.name, 'NotEnoughSpaceError', 'error');
+            t2.ok(/across at least 3 DCs, but only 2/.test(err.message),
+                'cause reports DC spread: ' + err.message);
+
+            opts = { replicas: 4, maxPerDatacenter: 1 };
+            client.choose(opts, function (err2) {
+                t2.equal(err2 && err2.name, 'NotEnoughSpaceError', 'error');
+                t2.ok(/at most 1 per DC, but only 3 are available/.test(
+                    err2.message), 'cause reports limit: ' + err2.message);
+
+                opts = { replicas: 2, minDatacenters: 1 };
+                client.choose(opts, function (err3) {
+                    t2.ifError(err3, 'request minDatacenters');
+
+                    t2.throws(function () {
+                        client.choose({ tuples: 1.5 }, function () {});
+                    }, /tuples must be a positive integer/, 'bad tuples');
+                    t2.throws(function () {
+                        client.choose({ tuples: 0 }, function () {});
+                    }, /tuples must be a positive integer/, 'zero tuples');
+                    t2.throws(function () {
+                        client.choose({ maxPerDatacenter: 0 }, function () {});
+                    }, /maxPerDatacenter must be/, 'zero maxPerDatacenter');
+                    t2.throws(function () {
+                        createClient({ tuples: 0 });
+                    }, /tuples must be/, 'zero client tuples');
+                    t2.throws(function () {
+                        client.chooseBatch({ count: 2, size: 1,
+                            mode: 'spread', tuples: 0 }, function () {});
+                    }, /tuples must be/, 'zero chooseBatch tuples');
+
+                    client.close();
+                    t2.end();
+                });
+            });
+        });
+    });
+
+    t.end();
+});